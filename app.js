@@ -12,6 +12,7 @@ import indexRoutes from './server/routes/index.js';
 import authRoutes from './server/routes/auth.js';
 import apiRoutes from './server/routes/api.js';
 import webhookRoutes from './server/routes/webhook.js';
+import adminRoutes from './server/routes/admin.js';
 import { initializeRTMSWebSocket } from './server/routes/rtms.js';
 import { appName, port, redirectUri } from './config.js';
 
@@ -72,7 +73,14 @@ const headers = {
     },
 };
 app.use(helmet(headers));
-app.use(express.json());
+app.use(
+    express.json({
+        // keep the exact bytes around for webhook signature verification
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
 app.use(compression());
 app.use(cookieParser());
 app.use(express.urlencoded({ extended: false }));
@@ -86,6 +94,7 @@ app.use('/', indexRoutes);
 app.use('/auth', authRoutes);
 app.use('/api', apiRoutes); // NEW: API routes
 app.use('/webhook', webhookRoutes); // Zoom RTMS webhooks
+app.use('/admin', adminRoutes); // Webhook journal, queues, recordings, buffer policies (x-admin-key)
 
 // eslint-disable-next-line no-unused-vars
 app.use((err, req, res, next) => {
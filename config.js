@@ -41,11 +41,79 @@ export const port = config.PORT || '3000';
 // NEW: Elasticsearch
 export const elasticsearchUrl =
     config.ELASTICSEARCH_URL || 'http://localhost:9200';
+// Bulk indexing of transcripts: flush at this many docs or after this many ms
+export const esBulkMaxDocs = Number(config.ES_BULK_MAX_DOCS || 500);
+export const esBulkFlushMs = Number(config.ES_BULK_FLUSH_MS || 1000);
 // NEW: API Keys (optional - features will be disabled if not set)
 export const anthropicApiKey = config.ANTHROPIC_API_KEY;
 export const jinaApiKey = config.JINA_API_KEY;
 // Zoom RTMS
 export const zmSecretToken = config.ZM_SECRET_TOKEN;
+// Allowed clock skew (seconds) between Zoom and us when verifying webhook signatures
+export const zmWebhookMaxSkew = Number(config.ZM_WEBHOOK_MAX_SKEW || 300);
+// Local storage for journals, queues and recordings
+export const dataDir = config.DATA_DIR || 'data';
+// Record raw RTMS sessions for replay (off unless RTMS_RECORD=true)
+export const rtmsRecordDir =
+    config.RTMS_RECORD === 'true'
+        ? config.RTMS_RECORD_DIR || `${dataDir}/recordings`
+        : null;
+// Record meeting audio to WAV (off unless AUDIO_RECORD=true)
+export const audioRecordDir =
+    config.AUDIO_RECORD === 'true'
+        ? config.AUDIO_RECORD_DIR || `${dataDir}/audio`
+        : null;
+// One file per speaker (multi-stream audio) instead of one mixed file
+export const audioRecordPerSpeaker = config.AUDIO_RECORD_PER_SPEAKER === 'true';
+// wav, or opus (transcoded with ffmpeg when the meeting ends)
+export const audioRecordFormat = config.AUDIO_RECORD_FORMAT || 'wav';
+// Record H.264 video and mux it into MP4 (off unless VIDEO_RECORD=true)
+export const videoRecordDir =
+    config.VIDEO_RECORD === 'true'
+        ? config.VIDEO_RECORD_DIR || `${dataDir}/video`
+        : null;
+// Meeting IDs or UUIDs to record video for (comma separated, empty = all)
+export const videoRecordMeetings = (config.VIDEO_RECORD_MEETINGS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+// Speech-to-text from meeting audio instead of Zoom's transcript (off when empty)
+export const asrProvider = config.ASR_PROVIDER || null;
+export const asrLanguage = config.ASR_LANGUAGE || 'auto';
+export const whisperCppBin = config.WHISPER_CPP_BIN || 'whisper-cli';
+export const whisperCppModel = config.WHISPER_CPP_MODEL;
+// Admin API (disabled unless a key is set)
+export const adminApiKey = config.ADMIN_API_KEY;
+// Transcript pipeline sinks (comma separated: es, summarizer, actions, webhook, file)
+export const transcriptSinks = (
+    config.TRANSCRIPT_SINKS || 'es,summarizer,actions'
+)
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+export const transcriptWebhookUrl = config.TRANSCRIPT_WEBHOOK_URL;
+// Transcript buffer policy: summary cadence and chunk size
+export const bufferPolicyDefaults = {
+    summaryIntervalMs: Number(config.BUFFER_SUMMARY_INTERVAL_MS || 10000),
+    chunkIntervalMs: Number(config.BUFFER_CHUNK_INTERVAL_MS || 30000),
+    chunkTargetTokens: Number(config.BUFFER_CHUNK_TARGET_TOKENS || 300),
+    chunkOverlapTokens: Number(config.BUFFER_CHUNK_OVERLAP_TOKENS || 50),
+    speakerIdleMs: Number(config.BUFFER_SPEAKER_IDLE_MS || 10000),
+};
+// Per product type / meeting overrides, as JSON (see .env.sample)
+export const bufferPolicyOverrides = (() => {
+    try {
+        return JSON.parse(config.BUFFER_POLICIES || '{}');
+    } catch (e) {
+        throw new Error(`Invalid BUFFER_POLICIES: ${e.message}`);
+    }
+})();
+export const transcriptExportDir =
+    config.TRANSCRIPT_EXPORT_DIR || `${dataDir}/exports`;
+// Follow-up prompts for an LLM reply that doesn't match its JSON schema
+export const llmMaxRepairs = config.LLM_MAX_REPAIRS
+    ? Number(config.LLM_MAX_REPAIRS)
+    : 2;
 // Kibana Agent Builder
 export const kibanaUrl = config.KIBANA_URL;
 export const kibanaApiKey = config.KIBANA_API_KEY;
@@ -55,9 +123,30 @@ export default {
     redirectUri,
     port,
     elasticsearchUrl,
+    esBulkMaxDocs,
+    esBulkFlushMs,
     anthropicApiKey,
     jinaApiKey,
     zmSecretToken,
+    zmWebhookMaxSkew,
+    dataDir,
+    rtmsRecordDir,
+    audioRecordDir,
+    audioRecordPerSpeaker,
+    audioRecordFormat,
+    videoRecordDir,
+    videoRecordMeetings,
+    asrProvider,
+    asrLanguage,
+    whisperCppBin,
+    whisperCppModel,
+    adminApiKey,
+    transcriptSinks,
+    transcriptWebhookUrl,
+    bufferPolicyDefaults,
+    bufferPolicyOverrides,
+    transcriptExportDir,
+    llmMaxRepairs,
     kibanaUrl,
     kibanaApiKey,
 };
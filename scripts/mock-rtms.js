@@ -0,0 +1,471 @@
+/*
+ * Local mock of Zoom's RTMS signaling and media servers.
+ *
+ * Plays a scripted scenario (participants, transcripts, chat, audio) over the
+ * same msg_type protocol RTMSManager speaks to Zoom, and starts/stops the
+ * stream by POSTing signed rtms_started / rtms_stopped webhooks to the app.
+ *
+ *   npm run mock-rtms -- [scenario.json] [--app http://localhost:3000]
+ *       [--port 9092] [--product meeting] [--no-webhook]
+ *
+ * Scenario format (see scripts/scenarios/standup.json):
+ *   {
+ *     "failures": { "signalingHandshake": [1], "mediaHandshake": [10] },
+ *     "steps": [ { "at": 0, "type": "join", "participants": [...] }, ... ]
+ *   }
+ * failures.* are status codes returned to the first handshake attempts, in
+ * order (e.g. 1 = INVALID_SIGNATURE, 10 = SERVER_ERROR). Step types:
+ *   join | leave            participants: [{ user_id, user_name }]
+ *   active_speaker          user_id, user_name
+ *   sharing_start | sharing_stop
+ *   transcript | chat       user_id, user_name, text[, language]; transcripts
+ *                           also take duration_ms and attribute (1 = interim)
+ *   audio                   user_id, user_name, duration_ms[, frequency]
+ *   drop                    socket: signaling | audio | transcript | chat | ...
+ *   end                     meeting ended (stream state 4, reason 6)
+ * `at` is milliseconds after the first media socket finished its handshake.
+ */
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { WebSocketServer } from 'ws';
+import { zmSecretToken, zoomApp } from '../config.js';
+import { signWebhook } from '../server/helpers/webhook-auth.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const KEEP_ALIVE_MS = 15_000;
+const AUDIO_FRAME_MS = 20;
+const AUDIO_SAMPLE_RATE = 16_000; // L16 mono, matches the default audio params
+
+const MEDIA_FLAGS = {
+    audio: 1,
+    video: 2,
+    sharescreen: 4,
+    transcript: 8,
+    chat: 16,
+};
+
+// Product type → webhook event prefix and ID fields (mirrors server/routes/webhook.js)
+const PRODUCTS = {
+    meeting: {
+        prefix: 'meeting',
+        idField: 'meeting_id',
+        uuidField: 'meeting_uuid',
+    },
+    webinar: {
+        prefix: 'webinar',
+        idField: 'webinar_id',
+        uuidField: 'webinar_uuid',
+    },
+    videoSdk: {
+        prefix: 'session',
+        idField: 'session_id',
+        uuidField: 'session_id',
+    },
+    contactCenter: {
+        prefix: 'contactcenter',
+        idField: 'session_id',
+        uuidField: 'session_id',
+    },
+    phone: { prefix: 'phone', idField: 'call_id', uuidField: 'call_id' },
+};
+
+const SIGNALING_EVENTS = {
+    active_speaker: 2,
+    join: 3,
+    leave: 4,
+    sharing_start: 5,
+    sharing_stop: 6,
+};
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        app: { type: 'string', default: 'http://localhost:3000' },
+        port: { type: 'string', default: '9092' },
+        product: { type: 'string', default: 'meeting' },
+        'no-webhook': { type: 'boolean', default: false },
+    },
+});
+
+const scenarioPath =
+    positionals[0] || path.join(__dirname, 'scenarios', 'standup.json');
+const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+const failures = {
+    signalingHandshake: [...(scenario.failures?.signalingHandshake || [])],
+    mediaHandshake: [...(scenario.failures?.mediaHandshake || [])],
+};
+
+const product = PRODUCTS[args.product];
+if (!product) {
+    console.error(
+        `❌ Unknown product "${args.product}" (${Object.keys(PRODUCTS).join(
+            ', '
+        )})`
+    );
+    process.exit(1);
+}
+
+const port = Number(args.port);
+const baseUrl = `ws://localhost:${port}`;
+const numericId = String(crypto.randomInt(1e10, 1e11));
+const session = {
+    uuid:
+        product.idField === product.uuidField
+            ? numericId
+            : `${crypto.randomBytes(16).toString('base64')}`,
+    streamId: crypto.randomBytes(16).toString('hex'),
+    signaling: null,
+    media: new Map(), // media type name → socket
+    startedAt: null,
+    timers: [],
+    ended: false,
+};
+
+function log(message) {
+    console.log(`[mock-rtms] ${message}`);
+}
+
+function send(ws, msg) {
+    if (ws?.readyState === ws?.OPEN) ws.send(JSON.stringify(msg));
+}
+
+function expectedSignature() {
+    return crypto
+        .createHmac('sha256', zoomApp.clientSecret)
+        .update(`${zoomApp.clientId},${session.uuid},${session.streamId}`)
+        .digest('hex');
+}
+
+/**
+ * Status code for a handshake: a scripted failure first, then signature check
+ */
+function handshakeStatus(msg, queue) {
+    if (queue.length > 0) return queue.shift();
+    if (msg.meeting_uuid !== session.uuid) return 3; // INVALID_MEETING_UUID
+    if (msg.rtms_stream_id !== session.streamId) return 4; // INVALID_STREAM_ID
+    if (msg.signature !== expectedSignature()) return 1; // INVALID_SIGNATURE
+    return 0;
+}
+
+function keepAlive(ws) {
+    const timer = setInterval(() => {
+        send(ws, { msg_type: 12, timestamp: Date.now() });
+    }, KEEP_ALIVE_MS);
+    ws.on('close', () => clearInterval(timer));
+}
+
+// ── Signaling ────────────────────────────────────────────────────────
+
+function onSignalingMessage(ws, msg) {
+    switch (msg.msg_type) {
+        case 1: {
+            const status_code = handshakeStatus(
+                msg,
+                failures.signalingHandshake
+            );
+            log(`🤝 Signaling handshake → status ${status_code}`);
+            const mediaUrl = `${baseUrl}/media`;
+            send(ws, {
+                msg_type: 2,
+                protocol_version: 1,
+                status_code,
+                reason: status_code ? 'mock failure' : '',
+                media_server: {
+                    server_urls: {
+                        all: mediaUrl,
+                        ...Object.fromEntries(
+                            Object.keys(MEDIA_FLAGS).map((t) => [t, mediaUrl])
+                        ),
+                    },
+                    srtp_keys: null,
+                },
+            });
+            if (status_code !== 0) {
+                ws.close();
+                return;
+            }
+
+            session.signaling = ws;
+            send(ws, { msg_type: 8, state: 1, reason: 0 });
+            break;
+        }
+        case 5:
+            log(
+                `📬 Subscribed to events: ${msg.events
+                    .filter((e) => e.subscribe)
+                    .map((e) => e.event_type)
+                    .join(', ')}`
+            );
+            break;
+        case 7:
+            // A media socket is ready — start the scenario clock once
+            if (!session.startedAt) startScenario();
+            break;
+    }
+}
+
+// ── Media ────────────────────────────────────────────────────────────
+
+function onMediaMessage(ws, msg) {
+    if (msg.msg_type !== 3) return;
+
+    const status_code = handshakeStatus(msg, failures.mediaHandshake);
+    const types = Object.entries(MEDIA_FLAGS)
+        .filter(([, flag]) => msg.media_type & flag || msg.media_type === 32)
+        .map(([type]) => type);
+    log(`🤝 Media handshake (${types.join(', ')}) → status ${status_code}`);
+
+    send(ws, {
+        msg_type: 4,
+        protocol_version: 1,
+        status_code,
+        reason: status_code ? 'mock failure' : '',
+        payload_encrypted: false,
+        media_params: msg.media_params,
+    });
+    if (status_code !== 0) {
+        ws.close();
+        return;
+    }
+
+    for (const type of types) session.media.set(type, ws);
+    ws.on('close', () => {
+        for (const type of types) {
+            if (session.media.get(type) === ws) session.media.delete(type);
+        }
+    });
+}
+
+function sendMedia(type, msgType, content) {
+    const ws = session.media.get(type);
+    if (!ws) return false;
+    send(ws, { msg_type: msgType, content });
+    return true;
+}
+
+// ── Scenario playback ────────────────────────────────────────────────
+
+function streamAudio(step) {
+    const frameSamples = (AUDIO_SAMPLE_RATE * AUDIO_FRAME_MS) / 1000;
+    const frames = Math.ceil((step.duration_ms || 1000) / AUDIO_FRAME_MS);
+    const frequency = step.frequency || 440;
+    let sent = 0;
+
+    const timer = setInterval(() => {
+        const pcm = Buffer.alloc(frameSamples * 2);
+        for (let i = 0; i < frameSamples; i++) {
+            const t = (sent * frameSamples + i) / AUDIO_SAMPLE_RATE;
+            pcm.writeInt16LE(
+                Math.round(Math.sin(2 * Math.PI * frequency * t) * 8000),
+                i * 2
+            );
+        }
+        sendMedia('audio', 14, {
+            user_id: step.user_id,
+            user_name: step.user_name,
+            data: pcm.toString('base64'),
+            timestamp: Date.now(),
+        });
+        if (++sent >= frames) clearInterval(timer);
+    }, AUDIO_FRAME_MS);
+    session.timers.push(timer);
+}
+
+function endMeeting() {
+    session.ended = true;
+    log('🏁 Meeting ended (stream state 4, reason 6)');
+    send(session.signaling, { msg_type: 8, state: 4, reason: 6 });
+    send(session.signaling, { msg_type: 9, state: 5, stop_reason: 6 });
+
+    setTimeout(async () => {
+        await postWebhook('rtms_stopped');
+        shutdown();
+    }, 500);
+}
+
+function runStep(step) {
+    const now = Date.now();
+
+    switch (step.type) {
+        case 'join':
+        case 'leave':
+        case 'active_speaker':
+        case 'sharing_start':
+        case 'sharing_stop': {
+            const { type, at, ...fields } = step;
+            send(session.signaling, {
+                msg_type: 6,
+                event: {
+                    event_type: SIGNALING_EVENTS[type],
+                    timestamp: now,
+                    ...fields,
+                },
+            });
+            log(`📣 ${type} (t+${at}ms)`);
+            break;
+        }
+        case 'transcript': {
+            const sent = sendMedia('transcript', 17, {
+                user_id: step.user_id,
+                user_name: step.user_name,
+                data: step.text,
+                timestamp: now,
+                start_time: now - (step.duration_ms || 2000),
+                end_time: now,
+                language: step.language ?? 9,
+                attribute: step.attribute ?? 0,
+            });
+            log(
+                `${sent ? '📝' : '⏭️ '} ${step.user_name}: ${step.text}${
+                    sent ? '' : ' (no transcript socket)'
+                }`
+            );
+            break;
+        }
+        case 'chat': {
+            const sent = sendMedia('chat', 18, {
+                user_id: step.user_id,
+                user_name: step.user_name,
+                data: step.text,
+                timestamp: now,
+            });
+            log(
+                `${sent ? '💬' : '⏭️ '} ${step.user_name}: ${step.text}${
+                    sent ? '' : ' (no chat socket)'
+                }`
+            );
+            break;
+        }
+        case 'audio':
+            if (session.media.has('audio')) streamAudio(step);
+            else log('⏭️  audio step skipped (no audio socket)');
+            break;
+        case 'drop': {
+            const socket = step.socket || 'signaling';
+            const ws =
+                socket === 'signaling'
+                    ? session.signaling
+                    : session.media.get(socket);
+            log(`🔌 Dropping ${socket} socket`);
+            ws?.terminate();
+            break;
+        }
+        case 'end':
+            endMeeting();
+            break;
+        default:
+            log(`⚠️  Unknown step type "${step.type}"`);
+    }
+}
+
+function startScenario() {
+    session.startedAt = Date.now();
+    log(`▶️  Playing ${scenario.steps.length} steps from ${scenarioPath}`);
+
+    send(session.signaling, {
+        msg_type: 6,
+        event: { event_type: 1, timestamp: session.startedAt },
+    });
+
+    for (const step of scenario.steps) {
+        session.timers.push(setTimeout(() => runStep(step), step.at || 0));
+    }
+}
+
+// ── Webhooks ─────────────────────────────────────────────────────────
+
+async function postWebhook(action) {
+    const event = `${product.prefix}.${action}`;
+    const body = JSON.stringify({
+        event,
+        event_ts: Date.now(),
+        payload: {
+            operator_id: 'mock-operator',
+            [product.idField]: numericId,
+            [product.uuidField]: session.uuid,
+            rtms_stream_id: session.streamId,
+            server_urls: `${baseUrl}/signaling`,
+        },
+    });
+
+    if (args['no-webhook']) {
+        log(`📦 ${event} (not sent):\n${body}`);
+        return true;
+    }
+    if (!zmSecretToken) {
+        log('⚠️  ZM_SECRET_TOKEN is not set — the app will reject webhooks');
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    try {
+        await axios.post(`${args.app}/webhook`, body, {
+            headers: {
+                'content-type': 'application/json',
+                'x-zm-request-timestamp': timestamp,
+                'x-zm-signature': signWebhook(timestamp, body),
+            },
+        });
+        log(`🌐 POST ${event} → ${args.app}/webhook`);
+        return true;
+    } catch (err) {
+        log(`❌ ${event} webhook failed: ${err.message}`);
+        return false;
+    }
+}
+
+// ── Server ───────────────────────────────────────────────────────────
+
+const server = http.createServer();
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (ws, req) => {
+    const kind = req.url.startsWith('/signaling') ? 'signaling' : 'media';
+    log(`🔗 ${kind} socket connected`);
+    keepAlive(ws);
+
+    ws.on('message', (data) => {
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch {
+            log(`⚠️  Invalid JSON on ${kind} socket`);
+            return;
+        }
+        if (msg.msg_type === 13) {
+            log(`💓 ${kind} keep-alive acknowledged`);
+        } else if (kind === 'signaling') onSignalingMessage(ws, msg);
+        else onMediaMessage(ws, msg);
+    });
+
+    ws.on('close', () => {
+        log(`🔌 ${kind} socket closed`);
+        if (ws === session.signaling) session.signaling = null;
+    });
+});
+
+function shutdown() {
+    for (const timer of session.timers) {
+        clearTimeout(timer);
+        clearInterval(timer);
+    }
+    for (const ws of wss.clients) ws.close();
+    wss.close();
+    server.close(() => log('👋 Mock RTMS server stopped'));
+}
+
+process.on('SIGINT', async () => {
+    if (!session.ended) await postWebhook('rtms_stopped');
+    shutdown();
+});
+
+server.listen(port, async () => {
+    log(`✅ Listening on ${baseUrl} (${args.product} ${numericId})`);
+    log(`   uuid=${session.uuid} stream=${session.streamId}`);
+    if (!(await postWebhook('rtms_started'))) shutdown();
+});
@@ -0,0 +1,96 @@
+/*
+ * Replay a raw RTMS session captured with RTMS_RECORD=true.
+ *
+ *   npm run replay-rtms -- <recording.jsonl> [--speed 10|max] [--filler]
+ *       [--pipeline]
+ *
+ * Messages go back through the same signaling/media handlers they hit live,
+ * so the events printed here are what RTMSManager emitted during the meeting.
+ *   --speed     playback rate (default 1 = real time, max = no delays)
+ *   --filler    enable the audio/video gap fillers (useFiller)
+ *   --pipeline  also feed transcripts and chat into the transcript pipeline, which
+ *               writes to Elasticsearch and runs the summarizer as configured
+ */
+import { parseArgs } from 'util';
+import { SessionPlayer } from '../server/rtmsManager/index.js';
+
+// Give pipeline sinks time to finish after the last chunk is flushed
+const PIPELINE_SETTLE_MS = 5000;
+
+const { values: args, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        speed: { type: 'string', default: '1' },
+        filler: { type: 'boolean', default: false },
+        pipeline: { type: 'boolean', default: false },
+    },
+});
+
+if (!positionals[0]) {
+    console.error('Usage: npm run replay-rtms -- <recording.jsonl> [options]');
+    process.exit(1);
+}
+
+const speed = args.speed === 'max' ? Infinity : Number(args.speed);
+const player = new SessionPlayer(positionals[0], {
+    speed,
+    config: { useFiller: args.filler },
+});
+
+let pipeline = null;
+if (args.pipeline) {
+    const { testConnection, initializeIndices } = await import(
+        '../server/helpers/elasticsearch.js'
+    );
+    pipeline = await import('../server/helpers/transcript-pipeline.js');
+    if (await testConnection(1)) await initializeIndices();
+}
+
+const audio = { frames: 0, bytes: 0 };
+
+player.on('transcript', (e) => {
+    console.log(`📝 [${e.userName || 'Unknown'}] ${e.text}`);
+    pipeline?.ingestTranscript({
+        meetingId: String(e.meetingId),
+        productType: e.productType || 'meeting',
+        speakerId: String(e.userId || 'unknown'),
+        speakerName: e.userName || 'Unknown',
+        text: e.text,
+        sourceTimestamp: e.timestamp,
+        startTime: e.startTime,
+        endTime: e.endTime,
+        language: e.language,
+        isFinal: e.isFinal !== false,
+    });
+});
+player.on('chat', (e) => {
+    console.log(`💬 [${e.userName}] ${e.text}`);
+    pipeline?.ingestChat({
+        meetingId: String(e.meetingId),
+        productType: e.productType || 'meeting',
+        speakerId: String(e.userId || 'unknown'),
+        speakerName: e.userName || 'Unknown',
+        text: e.text,
+        sourceTimestamp: e.timestamp,
+    });
+});
+player.on('audio', (e) => {
+    audio.frames++;
+    audio.bytes += e.buffer.length;
+});
+player.on('event', (e) => console.log(`📣 event_type ${e.eventType}`));
+player.on('stream_state_changed', (e) =>
+    console.log(`🔁 stream state ${e.state} (reason ${e.reason})`)
+);
+player.on('error', (err) => console.error(`❌ ${err.message}`));
+
+const stats = await player.play();
+console.log(
+    `✅ Replayed ${stats.messages} messages (${stats.signaling} signaling, ${stats.media} media, ${stats.skipped} skipped); audio: ${audio.frames} frames, ${audio.bytes} bytes`
+);
+
+if (pipeline) {
+    await pipeline.endMeeting(String(player.header.rtmsId));
+    await new Promise((resolve) => setTimeout(resolve, PIPELINE_SETTLE_MS));
+}
+process.exit(0);
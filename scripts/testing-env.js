@@ -0,0 +1,15 @@
+// Preloaded by `npm test`: config.js requires the Zoom app settings, and
+// queues and checkpoints go to a throwaway data directory
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.ZM_CLIENT_ID ||= 'test-client-id';
+process.env.ZM_CLIENT_SECRET ||= 'test-client-secret';
+process.env.ZM_REDIRECT_URL ||= 'http://localhost:3000/auth';
+process.env.SESSION_SECRET ||= 'test-session-secret';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'zoomapp-test-'));
+
+process.on('exit', () =>
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true })
+);
@@ -0,0 +1,281 @@
+import crypto from 'crypto';
+import {
+    getActionItems,
+    insertActionItem,
+    modifyActionItem,
+} from './elasticsearch.js';
+import { dominantLanguage, languageName } from './languages.js';
+import { completeStructured } from './structured-output.js';
+import { actionItemsSchema } from './llm-schemas.js';
+import { createMeetingBatches } from './meeting-batches.js';
+
+/**
+ * Action items (owner, task, due date) and decisions, extracted from every
+ * flushed transcript chunk and merged per meeting in the action_items index.
+ * Users can add, correct, complete or dismiss items through the API; fields
+ * a user corrected are listed in edited_fields and left alone by the
+ * extractor.
+ */
+
+export const ITEM_TYPES = ['action', 'decision'];
+export const ITEM_STATUSES = ['open', 'done', 'dismissed'];
+
+// Fields users may set. Once set, a field is listed in edited_fields.
+const EDITABLE_FIELDS = ['type', 'text', 'owner', 'due_date', 'status'];
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function badRequest(message) {
+    const e = new Error(message);
+    e.code = 400;
+    return e;
+}
+
+/**
+ * Check item fields sent by a user
+ * @param {Object} fields - Any of type, text, owner, due_date, status
+ * @param {Object} [options]
+ * @param {Boolean} [options.partial=false] - Allow text to be missing
+ * @return {Object} The fields
+ * @throws {Error} code 400 on unknown fields or invalid values
+ */
+export function validateItemFields(fields, { partial = false } = {}) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        throw badRequest('item must be an object');
+    }
+    for (const field of Object.keys(fields)) {
+        if (!EDITABLE_FIELDS.includes(field)) {
+            throw badRequest(`unknown item field "${field}"`);
+        }
+    }
+    const { type, text, owner, due_date: dueDate, status } = fields;
+    if (type !== undefined && !ITEM_TYPES.includes(type)) {
+        throw badRequest(`type must be one of ${ITEM_TYPES.join(', ')}`);
+    }
+    if (status !== undefined && !ITEM_STATUSES.includes(status)) {
+        throw badRequest(`status must be one of ${ITEM_STATUSES.join(', ')}`);
+    }
+    if (
+        (text !== undefined || !partial) &&
+        (typeof text !== 'string' || !text.trim())
+    ) {
+        throw badRequest('text must be a non-empty string');
+    }
+    if (owner !== undefined && owner !== null && typeof owner !== 'string') {
+        throw badRequest('owner must be a string or null');
+    }
+    if (dueDate !== undefined && dueDate !== null && !DATE.test(dueDate)) {
+        throw badRequest('due_date must be YYYY-MM-DD or null');
+    }
+    return fields;
+}
+
+/**
+ * Add an item by hand
+ * @param {String} meetingId - Meeting UUID
+ * @param {Object} fields - text and optionally type, owner, due_date, status
+ * @return {Promise<Object>} The stored item
+ */
+export async function createActionItem(meetingId, fields) {
+    validateItemFields(fields);
+    const now = new Date().toISOString();
+    const type = fields.type || 'action';
+    const item = {
+        item_id: `${meetingId}-${type}-${crypto.randomUUID()}`,
+        meeting_id: meetingId,
+        product_type: null,
+        type,
+        text: fields.text.trim(),
+        owner: fields.owner || null,
+        due_date: fields.due_date || null,
+        due_text: null,
+        status: fields.status || 'open',
+        origin: 'manual',
+        source_chunk_ids: [],
+        // Nothing the extractor finds should change a hand-written item
+        edited_fields: EDITABLE_FIELDS,
+        language: null,
+        created_at: now,
+        updated_at: now,
+    };
+    await insertActionItem(item);
+    return item;
+}
+
+/**
+ * Correct an item, e.g. mark it done or change its owner
+ * @param {String} itemId
+ * @param {Object} fields - Any of type, text, owner, due_date, status
+ * @return {Promise<Object|null>} The updated item, null if there is none
+ */
+export function updateActionItem(itemId, fields) {
+    validateItemFields(fields, { partial: true });
+    return modifyActionItem(itemId, (item) => ({
+        ...item,
+        ...fields,
+        ...(fields.text ? { text: fields.text.trim() } : {}),
+        // The spoken deadline no longer describes a corrected date
+        ...('due_date' in fields ? { due_text: null } : {}),
+        edited_fields: [
+            ...new Set([...item.edited_fields, ...Object.keys(fields)]),
+        ],
+    }));
+}
+
+/**
+ * Remove an item from the open list. The item is kept as dismissed rather
+ * than deleted: extraction matches new mentions against stored items, so a
+ * deleted item would come back the next time it is mentioned.
+ * @param {String} itemId
+ * @return {Promise<Object|null>} The dismissed item, null if there is none
+ */
+export function dismissActionItem(itemId) {
+    return updateActionItem(itemId, { status: 'dismissed' });
+}
+
+/**
+ * Extract action items and decisions from a flushed chunk and merge them
+ * into the meeting's items
+ * @param {Object} chunk - A transcript_chunks document
+ * @return {Promise<void>} Resolves once the batch holding the chunk is merged
+ */
+export const extractActionItems = createMeetingBatches(extractFromChunks);
+
+// Same wording up to case, spacing and punctuation
+function normalize(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+// Derived from the wording, so re-extracting a chunk (sink retry, restart)
+// lands on the same item
+function extractedItemId(meetingId, type, text) {
+    const hash = crypto
+        .createHash('sha1')
+        .update(normalize(text))
+        .digest('hex')
+        .slice(0, 16);
+    return `${meetingId}-${type}-${hash}`;
+}
+
+function describeItem(item) {
+    const details = [
+        item.owner && `owner: ${item.owner}`,
+        item.due_date && `due: ${item.due_date}`,
+        item.status !== 'open' && `status: ${item.status}`,
+    ].filter(Boolean);
+    return `[${item.item_id}] ${item.type}: ${item.text}${
+        details.length ? ` (${details.join(', ')})` : ''
+    }`;
+}
+
+async function extractFromChunks(meetingId, chunks) {
+    const existing = await getActionItems(meetingId);
+    const language = dominantLanguage(chunks);
+    const writeIn = language
+        ? languageName(language)
+        : 'the language of the transcript';
+    const meetingDate = new Date(chunks[0].start_time).toDateString();
+    const known = existing.length
+        ? `Items already recorded for this meeting:\n${existing
+              .map(describeItem)
+              .join('\n')}\n\n`
+        : '';
+    const excerpts = chunks
+        .map((c) => `[${c.chunk_id}]\n${c.text}`)
+        .join('\n\n');
+
+    const prompt = `You are tracking the follow-ups of a meeting held on ${meetingDate}.
+
+${known}New transcript excerpts, each labelled with its ID (an excerpt may repeat the last sentence or two of the previous one):
+${excerpts}
+
+List the action items (someone committed to or was asked to do something) and decisions (something the group agreed on) in the new excerpts. Skip small talk and vague intentions. For each item give: "type" ("action" or "decision"), "text" (a short imperative task or a one-sentence decision, written in ${writeIn}), "owner" (the person responsible as named in the transcript, or null), "due_date" (YYYY-MM-DD resolved against the meeting date, or null), "due_text" (the deadline as said, or null), "source_chunk_id" (the excerpt it came from) and "same_as" (the ID of an already recorded item it repeats or updates, or null). Put them in "items", which is empty if there are none.`;
+
+    const { items } = await completeStructured(prompt, actionItemsSchema);
+    const byId = new Map(existing.map((item) => [item.item_id, item]));
+    const byText = new Map(
+        existing.map((item) => [`${item.type}:${normalize(item.text)}`, item])
+    );
+    const chunkIds = new Set(chunks.map((c) => c.chunk_id));
+    let created = 0;
+    let merged = 0;
+
+    for (const found of items.map(cleanExtracted)) {
+        const sourceChunkId = chunkIds.has(found.source_chunk_id)
+            ? found.source_chunk_id
+            : chunks[chunks.length - 1].chunk_id;
+        const match =
+            byId.get(found.same_as) ||
+            byText.get(`${found.type}:${normalize(found.text)}`);
+
+        if (match) {
+            const updated = await modifyActionItem(match.item_id, (item) =>
+                mergeExtracted(item, found, sourceChunkId)
+            );
+            if (updated) merged++;
+            continue;
+        }
+
+        const now = new Date().toISOString();
+        const source = chunks.find((c) => c.chunk_id === sourceChunkId);
+        const item = {
+            item_id: extractedItemId(meetingId, found.type, found.text),
+            meeting_id: meetingId,
+            product_type: source.product_type,
+            type: found.type,
+            text: found.text,
+            owner: found.owner,
+            due_date: found.due_date,
+            due_text: found.due_text,
+            status: 'open',
+            origin: 'extracted',
+            source_chunk_ids: [sourceChunkId],
+            edited_fields: [],
+            language: source.language || language,
+            created_at: now,
+            updated_at: now,
+        };
+        await insertActionItem(item);
+        byText.set(`${item.type}:${normalize(item.text)}`, item);
+        created++;
+    }
+
+    console.log(
+        `✅ Action items for ${meetingId}: ${created} new, ${merged} merged (${chunks.length} chunk(s))`
+    );
+}
+
+// Later mentions fill in or update the owner and due date, unless a user
+// already corrected them
+function mergeExtracted(item, found, sourceChunkId) {
+    const edited = new Set(item.edited_fields);
+    const merged = {
+        ...item,
+        source_chunk_ids: [
+            ...new Set([...item.source_chunk_ids, sourceChunkId]),
+        ],
+    };
+    if (found.owner && !edited.has('owner')) merged.owner = found.owner;
+    if (found.due_date && !edited.has('due_date')) {
+        merged.due_date = found.due_date;
+        merged.due_text = found.due_text;
+    }
+    return merged;
+}
+
+// Trimmed, with blank optional fields as null
+function cleanExtracted(item) {
+    const orNull = (value) =>
+        typeof value === 'string' && value.trim() ? value.trim() : null;
+    return {
+        type: item.type,
+        text: item.text.trim(),
+        owner: orNull(item.owner),
+        due_date: orNull(item.due_date),
+        due_text: orNull(item.due_text),
+        source_chunk_id: orNull(item.source_chunk_id),
+        same_as: orNull(item.same_as),
+    };
+}
@@ -0,0 +1,13 @@
+// Deterministic stand-in for a speech-to-text engine: the "transcript" only
+// depends on the input, so tests and demos get stable output without a model
+export function createFakeProvider() {
+    return {
+        name: 'fake',
+        transcribe: async ({ pcm, sampleRate, channels, speakerName }) => {
+            const seconds = pcm.length / (sampleRate * channels * 2);
+            return `${speakerName || 'Someone'} spoke for ${seconds.toFixed(
+                1
+            )} seconds.`;
+        },
+    };
+}
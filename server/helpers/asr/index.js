@@ -0,0 +1,224 @@
+import { EventEmitter } from 'events';
+import debug from 'debug';
+import { appName } from '../../../config.js';
+import { createFakeProvider } from './fake.js';
+import { createWhisperCppProvider } from './whisper-cpp.js';
+
+const dbg = debug(`${appName}:asr`);
+
+// RTMS AUDIO_SAMPLE_RATE enum → Hz
+const SAMPLE_RATES = { 0: 8000, 1: 16000, 2: 32000, 3: 48000 };
+
+// Segmenting: cut after this much trailing silence (or this long without
+// any audio, as multi-stream audio stops when a user stops talking), or at
+// the max length
+const SILENCE_RMS = 500; // 16-bit PCM amplitude
+const END_OF_SPEECH_MS = 700;
+const MAX_SEGMENT_MS = 15_000;
+const MIN_SPEECH_MS = 300;
+
+/**
+ * A provider is { name, transcribe({ pcm, sampleRate, channels, language, speakerName }) }
+ * where transcribe resolves to the recognized text ('' for nothing).
+ * Factories return null when the provider isn't configured.
+ */
+export const providerFactories = {
+    'whisper-cpp': createWhisperCppProvider,
+    fake: createFakeProvider,
+};
+
+function rms(pcm) {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const s = pcm.readInt16LE(i * 2);
+        sum += s * s;
+    }
+    return Math.sqrt(sum / samples);
+}
+
+/**
+ * Turns RTMS 'audio' events into 'transcript' events with the same shape
+ * RTMSManager emits, using a pluggable speech-to-text provider.
+ *
+ * Audio is collected per meeting and user (multi-stream audio gives one
+ * speaker per user; mixed audio is transcribed as a single speaker) and cut
+ * into utterances on silence. Segments are transcribed one at a time, in
+ * order, so a slow provider delays but never reorders transcripts.
+ */
+export class AsrTranscriber extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.provider - See providerFactories
+     * @param {String} [options.language='auto'] - Language hint for the provider
+     */
+    constructor({ provider, language = 'auto' }) {
+        super();
+        this.provider = provider;
+        this.language = language;
+        this.segments = new Map(); // `${meetingId}\n${userId}` → segment
+        this.queue = Promise.resolve();
+        this.stats = { segments: 0, transcripts: 0, failed: 0 };
+    }
+
+    /**
+     * Feed one RTMSManager 'audio' event (16-bit PCM)
+     * @param {Object} event - { buffer, userId, userName, timestamp, meetingId, streamId, productType }
+     * @param {Object} [audioDetails] - Handshake audio params (sample_rate, channel)
+     */
+    pushAudio(event, audioDetails = {}) {
+        const key = `${event.meetingId}\n${event.userId}`;
+        let segment = this.segments.get(key);
+        if (!segment) {
+            segment = {
+                event,
+                sampleRate: SAMPLE_RATES[audioDetails.sample_rate] || 16000,
+                channels: audioDetails.channel || 1,
+                chunks: [],
+                bytes: 0,
+                speechMs: 0,
+                silenceMs: 0,
+                startTime: event.timestamp,
+                endTime: event.timestamp,
+                lastAudioAt: 0,
+                idleTimer: null,
+            };
+            this.segments.set(key, segment);
+        }
+
+        const bytesPerMs = (segment.sampleRate * segment.channels * 2) / 1000;
+        const chunkMs = event.buffer.length / bytesPerMs;
+        const silent = rms(event.buffer) < SILENCE_RMS;
+
+        // Leading silence never starts a segment
+        if (silent && segment.speechMs === 0) {
+            segment.startTime = event.timestamp + chunkMs;
+            return;
+        }
+
+        segment.chunks.push(event.buffer);
+        segment.bytes += event.buffer.length;
+        if (silent) {
+            segment.silenceMs += chunkMs;
+        } else {
+            segment.speechMs += chunkMs;
+            segment.silenceMs = 0;
+            // Packets need not be contiguous, so speech ends where the last
+            // spoken packet does
+            segment.endTime = event.timestamp + chunkMs;
+        }
+        segment.lastAudioAt = Date.now();
+        if (!segment.idleTimer)
+            this._armIdleTimer(key, segment, END_OF_SPEECH_MS);
+
+        const lengthMs = segment.bytes / bytesPerMs;
+        if (
+            segment.silenceMs >= END_OF_SPEECH_MS ||
+            lengthMs >= MAX_SEGMENT_MS
+        ) {
+            this._flush(key);
+        }
+    }
+
+    // Close the segment once no audio arrived for END_OF_SPEECH_MS
+    _armIdleTimer(key, segment, delayMs) {
+        segment.idleTimer = setTimeout(() => {
+            const idleMs = Date.now() - segment.lastAudioAt;
+            if (idleMs >= END_OF_SPEECH_MS) {
+                segment.idleTimer = null;
+                this._flush(key);
+            } else {
+                this._armIdleTimer(key, segment, END_OF_SPEECH_MS - idleMs);
+            }
+        }, delayMs);
+    }
+
+    _flush(key) {
+        const segment = this.segments.get(key);
+        this.segments.delete(key);
+        if (segment) clearTimeout(segment.idleTimer);
+        if (!segment || segment.speechMs < MIN_SPEECH_MS) return;
+
+        this.stats.segments++;
+        const pcm = Buffer.concat(segment.chunks);
+        const bytesPerMs = (segment.sampleRate * segment.channels * 2) / 1000;
+        const { event } = segment;
+
+        this.queue = this.queue.then(async () => {
+            try {
+                const text = (
+                    await this.provider.transcribe({
+                        pcm,
+                        sampleRate: segment.sampleRate,
+                        channels: segment.channels,
+                        language: this.language,
+                        speakerName: event.userName,
+                    })
+                ).trim();
+                if (!text) return;
+
+                this.stats.transcripts++;
+                this.emit('transcript', {
+                    type: 'transcript',
+                    text,
+                    userId: event.userId,
+                    userName: event.userName,
+                    timestamp: segment.startTime,
+                    startTime: segment.startTime,
+                    endTime: segment.endTime,
+                    language: this.language,
+                    attribute: `asr:${this.provider.name}`,
+                    isFinal: true,
+                    meetingId: event.meetingId,
+                    streamId: event.streamId,
+                    productType: event.productType,
+                });
+            } catch (err) {
+                this.stats.failed++;
+                console.error(
+                    `❌ ASR (${this.provider.name}) failed for ${
+                        event.userName || event.userId
+                    }:`,
+                    err.message
+                );
+            }
+        });
+        dbg(
+            `Queued ${Math.round(pcm.length / bytesPerMs)}ms segment for ${
+                event.userName
+            }`
+        );
+    }
+
+    /**
+     * Transcribe whatever is still buffered for a meeting
+     * @param {String} meetingId
+     * @return {Promise<void>} Resolves once those transcripts were emitted
+     */
+    endMeeting(meetingId) {
+        for (const key of [...this.segments.keys()]) {
+            if (key.startsWith(`${meetingId}\n`)) this._flush(key);
+        }
+        return this.queue;
+    }
+}
+
+/**
+ * Build a transcriber for the named provider
+ * @param {String} name - Key of providerFactories
+ * @param {Object} [options] - Passed to AsrTranscriber (language)
+ * @return {AsrTranscriber|null} null if the provider is unknown or unconfigured
+ */
+export function createAsrTranscriber(name, options = {}) {
+    const factory = providerFactories[name];
+    if (!factory) {
+        console.warn(`⚠️  Unknown ASR provider "${name}", ASR disabled`);
+        return null;
+    }
+    const provider = factory();
+    if (!provider) return null;
+
+    console.log(`✅ ASR provider: ${provider.name}`);
+    return new AsrTranscriber({ ...options, provider });
+}
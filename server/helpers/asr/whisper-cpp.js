@@ -0,0 +1,63 @@
+import { execFile } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { whisperCppBin, whisperCppModel } from '../../../config.js';
+import { WavWriter } from '../wav-writer.js';
+
+const execFileAsync = promisify(execFile);
+
+const WHISPER_SAMPLE_RATE = 16000; // whisper.cpp only accepts 16 kHz input
+const TRANSCRIBE_TIMEOUT_MS = 120_000;
+
+/**
+ * whisper.cpp through its CLI: each segment is written to a temporary WAV and
+ * transcribed with `whisper-cli -m <model> -f <wav> -l <lang> -nt -np`
+ */
+export function createWhisperCppProvider() {
+    if (!whisperCppModel) {
+        console.warn('⚠️  WHISPER_CPP_MODEL is not set, ASR disabled');
+        return null;
+    }
+
+    return {
+        name: 'whisper-cpp',
+        transcribe: async ({ pcm, sampleRate, channels, language }) => {
+            if (sampleRate !== WHISPER_SAMPLE_RATE || channels !== 1) {
+                throw new Error(
+                    `whisper.cpp needs 16 kHz mono audio, got ${sampleRate} Hz x${channels}`
+                );
+            }
+
+            const wavPath = path.join(
+                os.tmpdir(),
+                `asr-${crypto.randomUUID()}.wav`
+            );
+            const writer = new WavWriter(wavPath, { sampleRate, channels });
+            writer.write(pcm);
+            await writer.close();
+
+            try {
+                const { stdout } = await execFileAsync(
+                    whisperCppBin,
+                    [
+                        '-m',
+                        whisperCppModel,
+                        '-f',
+                        wavPath,
+                        '-l',
+                        language,
+                        '-nt',
+                        '-np',
+                    ],
+                    { timeout: TRANSCRIBE_TIMEOUT_MS }
+                );
+                return stdout.replace(/\s+/g, ' ');
+            } finally {
+                await fs.promises.unlink(wavPath).catch(() => {});
+            }
+        },
+    };
+}
@@ -0,0 +1,105 @@
+import {
+    getAttendanceIntervals,
+    setMeetingParticipants,
+    upsertAttendanceInterval,
+} from './elasticsearch.js';
+
+// Everyone seen in each live meeting, keyed by meeting UUID
+const attendees = new Map();
+
+// Join and leave write the same interval document; each write waits for the
+// previous one (sent, queued or failed) so a slow join can't land after its
+// leave and reopen the interval
+const intervalWrites = new Map(); // interval key -> Promise
+
+function toIso(ts) {
+    return ts == null ? null : new Date(ts).toISOString();
+}
+
+/**
+ * Persist a participant join/leave from RTMSManager's 'participant' event.
+ * A join opens an interval; the matching leave closes it.
+ * @param {Object} event - { action, userId, userName, joinedAt, leftAt, meetingId, productType }
+ * @return {Promise<void>} Rejects if this event's write failed
+ */
+export function recordParticipantEvent(event) {
+    const meetingId = String(event.meetingId);
+    if (!attendees.has(meetingId)) attendees.set(meetingId, new Set());
+    if (event.userName) attendees.get(meetingId).add(event.userName);
+
+    const interval = {
+        meeting_id: meetingId,
+        product_type: event.productType || 'meeting',
+        user_id: String(event.userId),
+        user_name: event.userName || 'Unknown',
+        joined_at: toIso(event.joinedAt),
+        left_at: toIso(event.leftAt),
+        duration_ms:
+            event.leftAt != null ? event.leftAt - event.joinedAt : null,
+    };
+
+    const key = `${meetingId}-${interval.user_id}-${interval.joined_at}`;
+    const write = (intervalWrites.get(key) || Promise.resolve())
+        // A failed join is reported to its own caller; the leave still runs
+        .catch(() => {})
+        .then(() => upsertAttendanceInterval(interval));
+    intervalWrites.set(key, write);
+    write
+        .finally(() => {
+            if (intervalWrites.get(key) === write) intervalWrites.delete(key);
+        })
+        .catch(() => {});
+    return write;
+}
+
+/**
+ * Write the final participant list to the meetings index once the stream
+ * has stopped (RTMSManager closes open intervals before this runs)
+ * @param {String} meetingId - Meeting UUID
+ */
+export async function endAttendance(meetingId) {
+    const names = attendees.get(meetingId);
+    attendees.delete(meetingId);
+    if (names?.size) {
+        await setMeetingParticipants(meetingId, [...names]);
+    }
+}
+
+/**
+ * Per-participant attendance for a meeting: intervals and total time present.
+ * Intervals still open are counted up to now.
+ * @param {String} meetingId - Meeting UUID
+ * @return {Promise<Array<Object>>} Sorted by first join
+ */
+export async function getAttendance(meetingId) {
+    const intervals = await getAttendanceIntervals(meetingId);
+    const now = Date.now();
+    const byUser = new Map();
+
+    for (const interval of intervals) {
+        let entry = byUser.get(interval.user_id);
+        if (!entry) {
+            entry = {
+                user_id: interval.user_id,
+                user_name: interval.user_name,
+                first_joined_at: interval.joined_at,
+                last_left_at: null,
+                present: false,
+                total_ms: 0,
+                intervals: [],
+            };
+            byUser.set(interval.user_id, entry);
+        }
+        const joined = Date.parse(interval.joined_at);
+        const left = interval.left_at ? Date.parse(interval.left_at) : now;
+        entry.total_ms += left - joined;
+        entry.present = !interval.left_at;
+        entry.last_left_at = interval.left_at;
+        entry.intervals.push({
+            joined_at: interval.joined_at,
+            left_at: interval.left_at,
+        });
+    }
+
+    return [...byUser.values()];
+}
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import {
+    audioRecordDir,
+    audioRecordFormat,
+    audioRecordPerSpeaker,
+} from '../../config.js';
+import { runFfmpeg } from './ffmpeg.js';
+import {
+    appendManifest,
+    meetingRecordingDir,
+    readManifest,
+    resolveRecordingFile,
+} from './recording-manifest.js';
+import { WavWriter } from './wav-writer.js';
+
+// RTMS AUDIO_SAMPLE_RATE enum → Hz
+const SAMPLE_RATES = { 0: 8000, 1: 16000, 2: 32000, 3: 48000 };
+const CODEC_L16 = 1; // MEDIA_PAYLOAD_TYPE_L16 — the only codec WAV can hold
+const OPUS_BITRATE = '32k';
+
+// meeting UUID → { startedAt, productType, format, writers: Map<key, track> }
+const sessions = new Map();
+
+function meetingDir(meetingId) {
+    return meetingRecordingDir(audioRecordDir, meetingId);
+}
+
+/**
+ * Convert a finished WAV to Opus, keeping the WAV if ffmpeg is unavailable
+ * @return {Promise<String>} Path of the file to keep
+ */
+async function toOpus(wavPath) {
+    const opusPath = wavPath.replace(/\.wav$/, '.opus');
+    try {
+        await runFfmpeg([
+            '-y',
+            '-i',
+            wavPath,
+            '-c:a',
+            'libopus',
+            '-b:a',
+            OPUS_BITRATE,
+            opusPath,
+        ]);
+        await fs.promises.unlink(wavPath);
+        return opusPath;
+    } catch (err) {
+        console.warn(
+            err.code === 'ENOENT'
+                ? `⚠️  ffmpeg not found — keeping ${path.basename(wavPath)}`
+                : `⚠️  Opus conversion failed, keeping WAV: ${err.message}`
+        );
+        return wavPath;
+    }
+}
+
+/**
+ * Append an RTMSManager 'audio' event to its meeting's recording.
+ * Files are opened on the first packet: one per meeting, or one per speaker
+ * with AUDIO_RECORD_PER_SPEAKER.
+ * @param {Object} event - { buffer, userId, userName, meetingId, productType }
+ * @param {Object} [audioDetails] - Handshake audio params (sample_rate, channel, codec)
+ */
+export function recordAudio(event, audioDetails = {}) {
+    const meetingId = String(event.meetingId);
+    let session = sessions.get(meetingId);
+    if (!session) {
+        const codec = audioDetails.codec ?? CODEC_L16;
+        session = {
+            startedAt: new Date(),
+            productType: event.productType || 'meeting',
+            unsupported: codec !== CODEC_L16,
+            format: {
+                sampleRate: SAMPLE_RATES[audioDetails.sample_rate] || 16000,
+                channels: audioDetails.channel || 1,
+            },
+            writers: new Map(),
+        };
+        sessions.set(meetingId, session);
+        if (session.unsupported) {
+            console.warn(
+                `⚠️  Not recording ${meetingId}: audio codec ${codec} is not L16 PCM`
+            );
+        }
+    }
+    if (session.unsupported) return;
+
+    const key = audioRecordPerSpeaker ? String(event.userId) : 'mixed';
+    let track = session.writers.get(key);
+    if (!track) {
+        const stamp = session.startedAt.toISOString().replace(/[:.]/g, '-');
+        const name =
+            key === 'mixed'
+                ? `${stamp}_meeting.wav`
+                : `${stamp}_speaker-${encodeURIComponent(key)}.wav`;
+        track = {
+            writer: new WavWriter(
+                path.join(meetingDir(meetingId), name),
+                session.format
+            ),
+            speakerId: key === 'mixed' ? null : key,
+            speakerName: key === 'mixed' ? null : event.userName || 'Unknown',
+            firstTimestamp: event.timestamp,
+        };
+        session.writers.set(key, track);
+        console.log(`🎙️  Recording audio to ${track.writer.filePath}`);
+    }
+    track.writer.write(event.buffer);
+}
+
+/**
+ * Close a meeting's recording files once its stream has stopped, convert
+ * them if AUDIO_RECORD_FORMAT=opus and add them to the meeting's manifest
+ * @param {String} meetingId - Meeting UUID
+ * @return {Promise<Array<Object>>} Manifest entries for the new files
+ */
+export async function finalizeAudioRecording(meetingId) {
+    const session = sessions.get(meetingId);
+    if (!session) return [];
+    sessions.delete(meetingId);
+    if (session.unsupported || session.writers.size === 0) return [];
+
+    const endedAt = new Date().toISOString();
+    const entries = [];
+    for (const track of session.writers.values()) {
+        await track.writer.close();
+        const filePath =
+            audioRecordFormat === 'opus'
+                ? await toOpus(track.writer.filePath)
+                : track.writer.filePath;
+        const { size } = await fs.promises.stat(filePath);
+
+        entries.push({
+            kind: 'audio',
+            file: path.basename(filePath),
+            speaker_id: track.speakerId,
+            speaker_name: track.speakerName,
+            product_type: session.productType,
+            sample_rate: session.format.sampleRate,
+            channels: session.format.channels,
+            duration_ms: track.writer.durationMs,
+            // RTMS timestamp of the first sample, for aligning with video
+            first_timestamp: track.firstTimestamp,
+            bytes: size,
+            started_at: session.startedAt.toISOString(),
+            ended_at: endedAt,
+        });
+    }
+
+    await appendManifest(meetingDir(meetingId), entries);
+    console.log(
+        `✅ Saved ${entries.length} audio recording(s) for ${meetingId}`
+    );
+    return entries;
+}
+
+/**
+ * Finished recordings for a meeting
+ * @param {String} meetingId - Meeting UUID
+ * @return {Promise<Array<Object>>} Manifest entries
+ */
+export function listAudioRecordings(meetingId) {
+    return readManifest(meetingDir(meetingId));
+}
+
+/**
+ * Resolve a finished recording for download
+ * @param {String} meetingId - Meeting UUID
+ * @param {String} file - File name from listAudioRecordings()
+ * @return {Promise<String|null>} Absolute path, or null if unknown
+ */
+export function getAudioRecordingPath(meetingId, file) {
+    return resolveRecordingFile(meetingDir(meetingId), file);
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+import { dataDir } from '../../config.js';
+
+/**
+ * On-disk checkpoints of TranscriptBuffer state, one JSON file per meeting in
+ * <dataDir>/buffers. Files are replaced atomically (write + rename), so a
+ * crash leaves either the previous or the new checkpoint, never a torn one.
+ */
+
+const checkpointDir = path.join(dataDir, 'buffers');
+const VERSION = 1;
+
+function checkpointPath(meetingId) {
+    return path.join(checkpointDir, `${encodeURIComponent(meetingId)}.json`);
+}
+
+/**
+ * @param {String} meetingId
+ * @param {Object} checkpoint - { productType, state }
+ * @return {Promise<void>}
+ */
+export async function saveCheckpoint(meetingId, { productType, state }) {
+    await fs.promises.mkdir(checkpointDir, { recursive: true });
+    const file = checkpointPath(meetingId);
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(
+        tmp,
+        JSON.stringify({
+            version: VERSION,
+            meetingId,
+            productType,
+            savedAt: new Date().toISOString(),
+            state,
+        })
+    );
+    await fs.promises.rename(tmp, file);
+}
+
+/**
+ * Read synchronously: buffers are created inline while ingesting
+ * @param {String} meetingId
+ * @return {Object|null} { productType, savedAt, state }
+ */
+export function loadCheckpoint(meetingId) {
+    try {
+        const checkpoint = JSON.parse(
+            fs.readFileSync(checkpointPath(meetingId), 'utf8')
+        );
+        if (checkpoint.version !== VERSION) {
+            console.warn(
+                `⚠️ Ignoring buffer checkpoint v${checkpoint.version} for ${meetingId}`
+            );
+            return null;
+        }
+        return checkpoint;
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(
+                `⚠️ Unreadable buffer checkpoint for ${meetingId}:`,
+                err.message
+            );
+        }
+        return null;
+    }
+}
+
+/**
+ * @param {String} meetingId
+ * @return {Promise<void>}
+ */
+export async function deleteCheckpoint(meetingId) {
+    try {
+        await fs.promises.unlink(checkpointPath(meetingId));
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+/**
+ * @return {Promise<Array<String>>} Meeting IDs that have a checkpoint
+ */
+export async function listCheckpoints() {
+    let files;
+    try {
+        files = await fs.promises.readdir(checkpointDir);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return files
+        .filter((f) => f.endsWith('.json'))
+        .map((f) => decodeURIComponent(f.slice(0, -'.json'.length)));
+}
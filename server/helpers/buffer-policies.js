@@ -0,0 +1,190 @@
+import { bufferPolicyDefaults, bufferPolicyOverrides } from '../../config.js';
+
+/**
+ * Transcript buffer policies: how often speakers are summarized and when
+ * chunks are flushed. A meeting's policy is the defaults, overridden by its
+ * product type, overridden by the meeting itself. Everything here can be
+ * changed at runtime through the admin API; active buffers pick the change
+ * up via refreshBufferPolicies() in transcript-buffer.js.
+ */
+
+// Field → smallest accepted value
+const POLICY_FIELDS = {
+    summaryIntervalMs: 1000,
+    chunkIntervalMs: 1000,
+    chunkTargetTokens: 1,
+    chunkOverlapTokens: 0,
+    speakerIdleMs: 1000,
+};
+
+function badRequest(message) {
+    const e = new Error(message);
+    e.code = 400;
+    return e;
+}
+
+/**
+ * Check a (partial) policy
+ * @param {Object} policy - Any of summaryIntervalMs, chunkIntervalMs,
+ *   chunkTargetTokens, chunkOverlapTokens, speakerIdleMs
+ * @return {Object} The policy
+ * @throws {Error} code 400 on unknown fields or out of range values
+ */
+export function validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        throw badRequest('policy must be an object');
+    }
+    for (const [field, value] of Object.entries(policy)) {
+        if (!(field in POLICY_FIELDS)) {
+            throw badRequest(`unknown policy field "${field}"`);
+        }
+        if (!Number.isInteger(value) || value < POLICY_FIELDS[field]) {
+            throw badRequest(
+                `${field} must be an integer >= ${POLICY_FIELDS[field]}`
+            );
+        }
+    }
+    return policy;
+}
+
+/**
+ * Check a complete policy: chunks must move forward, so the overlap repeated
+ * from the previous chunk is at most half the chunk budget
+ * @param {Object} policy - Defaults merged with any overrides
+ * @param {String} [scope] - Which overrides were merged, for the error
+ * @throws {Error} code 400
+ */
+function validateResolvedPolicy(policy, scope = 'defaults') {
+    const { chunkOverlapTokens, chunkTargetTokens } = policy;
+    if (chunkOverlapTokens > Math.floor(chunkTargetTokens / 2)) {
+        throw badRequest(
+            `chunkOverlapTokens (${chunkOverlapTokens}) must be at most half of chunkTargetTokens (${chunkTargetTokens}) for ${scope}`
+        );
+    }
+}
+
+// Every policy a meeting can resolve to: the defaults alone or with any
+// product type and/or meeting override
+function validateCombinations(nextDefaults, nextProductTypes, nextMeetings) {
+    const productTypes = [[null, {}], ...nextProductTypes];
+    const meetings = [[null, {}], ...nextMeetings];
+    for (const [productType, productTypePolicy] of productTypes) {
+        for (const [meetingId, meetingPolicy] of meetings) {
+            const scope =
+                [
+                    productType && `product type "${productType}"`,
+                    meetingId && `meeting "${meetingId}"`,
+                ]
+                    .filter(Boolean)
+                    .join(' and ') || 'defaults';
+            validateResolvedPolicy(
+                { ...nextDefaults, ...productTypePolicy, ...meetingPolicy },
+                scope
+            );
+        }
+    }
+}
+
+function toMap(policies = {}) {
+    return new Map(
+        Object.entries(policies).map(([key, policy]) => [
+            key,
+            validatePolicy(policy),
+        ])
+    );
+}
+
+let defaults = validatePolicy({ ...bufferPolicyDefaults });
+const productTypePolicies = toMap(bufferPolicyOverrides.productTypes);
+const meetingPolicies = toMap(bufferPolicyOverrides.meetings);
+validateCombinations(defaults, productTypePolicies, meetingPolicies);
+
+/**
+ * @param {String} meetingId - Buffer key (meeting UUID)
+ * @param {String} productType
+ * @return {Object} Complete policy for that meeting
+ */
+export function resolveBufferPolicy(meetingId, productType) {
+    return {
+        ...defaults,
+        ...productTypePolicies.get(productType),
+        ...meetingPolicies.get(meetingId),
+    };
+}
+
+/**
+ * Meeting overrides may be keyed by the numeric meeting ID, but buffers are
+ * keyed by UUID. Called once both are known (rtms_started).
+ * @param {String} numericId
+ * @param {String} uuid
+ */
+export function linkMeetingPolicy(numericId, uuid) {
+    const policy = meetingPolicies.get(String(numericId));
+    if (policy && !meetingPolicies.has(uuid)) {
+        meetingPolicies.set(uuid, policy);
+    }
+}
+
+/**
+ * @return {Object} { defaults, productTypes, meetings }
+ */
+export function getBufferPolicies() {
+    return {
+        defaults,
+        productTypes: Object.fromEntries(productTypePolicies),
+        meetings: Object.fromEntries(meetingPolicies),
+    };
+}
+
+/**
+ * Merge fields into the defaults
+ * @param {Object} policy - Partial policy
+ * @throws {Error} code 400 if it makes any resolved policy invalid
+ */
+export function updateDefaultPolicy(policy) {
+    const next = { ...defaults, ...validatePolicy(policy) };
+    validateCombinations(next, productTypePolicies, meetingPolicies);
+    defaults = next;
+}
+
+/**
+ * Set (replace) the override for a product type
+ * @param {String} productType
+ * @param {Object} policy - Partial policy
+ * @throws {Error} code 400 if it makes any resolved policy invalid
+ */
+export function setProductTypePolicy(productType, policy) {
+    const next = new Map(productTypePolicies);
+    next.set(productType, validatePolicy(policy));
+    validateCombinations(defaults, next, meetingPolicies);
+    productTypePolicies.set(productType, policy);
+}
+
+/**
+ * Set (replace) the override for a meeting
+ * @param {String} meetingId - UUID, or numeric ID for a meeting not started yet
+ * @param {Object} policy - Partial policy
+ * @throws {Error} code 400 if it makes any resolved policy invalid
+ */
+export function setMeetingPolicy(meetingId, policy) {
+    const next = new Map(meetingPolicies);
+    next.set(meetingId, validatePolicy(policy));
+    validateCombinations(defaults, productTypePolicies, next);
+    meetingPolicies.set(meetingId, policy);
+}
+
+/**
+ * @param {String} productType
+ * @return {Boolean} false if there was no override
+ */
+export function deleteProductTypePolicy(productType) {
+    return productTypePolicies.delete(productType);
+}
+
+/**
+ * @param {String} meetingId
+ * @return {Boolean} false if there was no override
+ */
+export function deleteMeetingPolicy(meetingId) {
+    return meetingPolicies.delete(meetingId);
+}
@@ -0,0 +1,159 @@
+import assert from 'assert/strict';
+import { after, describe, test } from 'node:test';
+import {
+    deleteMeetingPolicy,
+    deleteProductTypePolicy,
+    getBufferPolicies,
+    linkMeetingPolicy,
+    resolveBufferPolicy,
+    setMeetingPolicy,
+    setProductTypePolicy,
+    updateDefaultPolicy,
+    validatePolicy,
+} from './buffer-policies.js';
+
+const badRequest = { code: 400 };
+
+describe('validatePolicy', () => {
+    test('accepts a partial policy', () => {
+        const policy = { chunkTargetTokens: 200, chunkOverlapTokens: 0 };
+        assert.equal(validatePolicy(policy), policy);
+    });
+
+    test('rejects anything but a plain object', () => {
+        for (const policy of [null, 'x', [], 5]) {
+            assert.throws(() => validatePolicy(policy), badRequest);
+        }
+    });
+
+    test('rejects unknown fields', () => {
+        assert.throws(() => validatePolicy({ chunkSize: 10 }), {
+            code: 400,
+            message: /unknown policy field "chunkSize"/,
+        });
+    });
+
+    test('rejects non-integers and values below the minimum', () => {
+        for (const policy of [
+            { summaryIntervalMs: 999 },
+            { chunkIntervalMs: 1500.5 },
+            { speakerIdleMs: '5000' },
+            { chunkTargetTokens: 0 },
+            { chunkOverlapTokens: -1 },
+        ]) {
+            assert.throws(() => validatePolicy(policy), badRequest);
+        }
+    });
+});
+
+describe('policy overrides', () => {
+    const initialDefaults = { ...getBufferPolicies().defaults };
+
+    after(() => {
+        updateDefaultPolicy(initialDefaults);
+    });
+
+    test('meeting overrides product type overrides defaults', (t) => {
+        t.after(() => {
+            deleteProductTypePolicy('test-webinar');
+            deleteMeetingPolicy('test-uuid-1');
+        });
+
+        setProductTypePolicy('test-webinar', {
+            summaryIntervalMs: 20_000,
+            chunkIntervalMs: 30_000,
+        });
+        setMeetingPolicy('test-uuid-1', { chunkIntervalMs: 10_000 });
+
+        const policy = resolveBufferPolicy('test-uuid-1', 'test-webinar');
+        assert.equal(policy.summaryIntervalMs, 20_000);
+        assert.equal(policy.chunkIntervalMs, 10_000);
+        assert.equal(
+            policy.chunkTargetTokens,
+            initialDefaults.chunkTargetTokens
+        );
+
+        assert.deepEqual(
+            resolveBufferPolicy('other-uuid', 'other-type'),
+            initialDefaults
+        );
+    });
+
+    test('links a numeric meeting ID override to the meeting UUID', (t) => {
+        t.after(() => {
+            deleteMeetingPolicy('123456');
+            deleteMeetingPolicy('test-uuid-2');
+        });
+
+        setMeetingPolicy('123456', { speakerIdleMs: 4000 });
+        linkMeetingPolicy(123456, 'test-uuid-2');
+        assert.equal(resolveBufferPolicy('test-uuid-2').speakerIdleMs, 4000);
+    });
+
+    test('keeps an override already set for the UUID', (t) => {
+        t.after(() => {
+            deleteMeetingPolicy('654321');
+            deleteMeetingPolicy('test-uuid-3');
+        });
+
+        setMeetingPolicy('654321', { speakerIdleMs: 4000 });
+        setMeetingPolicy('test-uuid-3', { speakerIdleMs: 6000 });
+        linkMeetingPolicy('654321', 'test-uuid-3');
+        assert.equal(resolveBufferPolicy('test-uuid-3').speakerIdleMs, 6000);
+    });
+
+    test('rejects an overlap above half the chunk budget', (t) => {
+        t.after(() => deleteMeetingPolicy('test-uuid-4'));
+
+        assert.throws(
+            () =>
+                setMeetingPolicy('test-uuid-4', {
+                    chunkTargetTokens: 100,
+                    chunkOverlapTokens: 51,
+                }),
+            badRequest
+        );
+        assert.equal(getBufferPolicies().meetings['test-uuid-4'], undefined);
+
+        setMeetingPolicy('test-uuid-4', {
+            chunkTargetTokens: 100,
+            chunkOverlapTokens: 50,
+        });
+        assert.equal(resolveBufferPolicy('test-uuid-4').chunkOverlapTokens, 50);
+    });
+
+    test('rejects a change that breaks any combination of overrides', (t) => {
+        t.after(() => deleteMeetingPolicy('test-uuid-5'));
+
+        setMeetingPolicy('test-uuid-5', {
+            chunkOverlapTokens: Math.floor(
+                initialDefaults.chunkTargetTokens / 2
+            ),
+        });
+        // Fine for the defaults alone, too small a budget for the meeting
+        assert.throws(
+            () =>
+                updateDefaultPolicy({
+                    chunkTargetTokens: initialDefaults.chunkTargetTokens - 2,
+                    chunkOverlapTokens: 0,
+                }),
+            { code: 400, message: /meeting "test-uuid-5"/ }
+        );
+        assert.deepEqual(getBufferPolicies().defaults, initialDefaults);
+    });
+
+    test('merges default updates into the current defaults', () => {
+        updateDefaultPolicy({ summaryIntervalMs: 45_000 });
+        assert.deepEqual(getBufferPolicies().defaults, {
+            ...initialDefaults,
+            summaryIntervalMs: 45_000,
+        });
+    });
+
+    test('reports whether an override was deleted', () => {
+        setProductTypePolicy('test-meeting', { speakerIdleMs: 2000 });
+        assert.equal(deleteProductTypePolicy('test-meeting'), true);
+        assert.equal(deleteProductTypePolicy('test-meeting'), false);
+        assert.equal(deleteMeetingPolicy('never-set'), false);
+    });
+});
@@ -0,0 +1,166 @@
+const STATS_LOG_INTERVAL_MS = 60_000;
+
+/**
+ * Batches index operations into Elasticsearch _bulk requests.
+ *
+ * Each add() returns a promise for that document alone: it resolves with the
+ * item's bulk response, or rejects with an error whose meta.statusCode is the
+ * item's status — so callers can treat a per-item 429 exactly like a failed
+ * single-document request. A batch is flushed when it reaches maxDocs or
+ * maxBytes, or flushIntervalMs after its first document arrived.
+ *
+ * Writes must stay in order, so once an item fails with a retriable error
+ * every later item of the batch is rejected with a retriable error too, even
+ * if it was indexed. Callers queueing rejected writes in settlement order
+ * then replay the tail of the batch in its original order, and a newer
+ * version of a document can't be overwritten by an older one.
+ */
+export class BulkIndexer {
+    /**
+     * @param {Object} options
+     * @param {Client} options.client - Elasticsearch client
+     * @param {String} [options.name='bulk'] - Label used in logs
+     * @param {Number} [options.maxDocs=500] - Flush at this many documents
+     * @param {Number} [options.maxBytes=5MB] - Flush at this payload size
+     * @param {Number} [options.flushIntervalMs=1000] - Max time a doc waits
+     * @param {Function} [options.isRetriable] - (error) => Boolean, for
+     *   per-item errors
+     */
+    constructor({
+        client,
+        name = 'bulk',
+        maxDocs = 500,
+        maxBytes = 5 * 1024 * 1024,
+        flushIntervalMs = 1000,
+        isRetriable = () => false,
+    }) {
+        this.client = client;
+        this.isRetriable = isRetriable;
+        this.name = name;
+        this.maxDocs = maxDocs;
+        this.maxBytes = maxBytes;
+        this.flushIntervalMs = flushIntervalMs;
+
+        this.batch = []; // { op, bytes, resolve, reject }
+        this.batchBytes = 0;
+        this.flushTimer = null;
+
+        this.totals = { batches: 0, indexed: 0, failed: 0, took_ms: 0 };
+        this.window = { started: Date.now(), indexed: 0 };
+
+        this.statsTimer = setInterval(
+            () => this._logThroughput(),
+            STATS_LOG_INTERVAL_MS
+        );
+        this.statsTimer.unref();
+    }
+
+    /**
+     * Queue a document for the next bulk request
+     * @param {Object} op - { index, id, document }
+     * @return {Promise<Object>} The bulk response item for this document
+     */
+    add(op) {
+        return new Promise((resolve, reject) => {
+            const bytes = Buffer.byteLength(JSON.stringify(op.document));
+            this.batch.push({ op, bytes, resolve, reject });
+            this.batchBytes += bytes;
+
+            if (
+                this.batch.length >= this.maxDocs ||
+                this.batchBytes >= this.maxBytes
+            ) {
+                this.flush();
+            } else if (!this.flushTimer) {
+                this.flushTimer = setTimeout(
+                    () => this.flush(),
+                    this.flushIntervalMs
+                );
+            }
+        });
+    }
+
+    /**
+     * Send everything batched so far
+     */
+    async flush() {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.batch.length === 0) return;
+
+        const batch = this.batch;
+        this.batch = [];
+        this.batchBytes = 0;
+
+        const operations = batch.flatMap(({ op }) => [
+            { index: { _index: op.index, _id: op.id } },
+            op.document,
+        ]);
+
+        let response;
+        try {
+            response = await this.client.bulk({ operations });
+        } catch (error) {
+            // The whole request failed — every document shares the error
+            this.totals.failed += batch.length;
+            for (const item of batch) item.reject(error);
+            return;
+        }
+
+        this.totals.batches++;
+        this.totals.took_ms += response.took || 0;
+
+        let retrying = null; // first retriable error in the batch
+        response.items.forEach((result, i) => {
+            const item = result.index;
+            let error = null;
+            if (item.error) {
+                error = new Error(`${item.error.type}: ${item.error.reason}`);
+                error.meta = { statusCode: item.status, body: item.error };
+                if (!retrying && this.isRetriable(error)) retrying = error;
+            } else if (retrying) {
+                // Indexed, but ahead of an earlier write that will be retried
+                error = new Error(
+                    `retrying after earlier item: ${retrying.message}`
+                );
+                error.retriable = true;
+            }
+
+            if (error) {
+                this.totals.failed++;
+                batch[i].reject(error);
+            } else {
+                this.totals.indexed++;
+                this.window.indexed++;
+                batch[i].resolve(item);
+            }
+        });
+    }
+
+    /**
+     * Totals since startup plus throughput over the current window
+     */
+    stats() {
+        const elapsedSec = (Date.now() - this.window.started) / 1000;
+        return {
+            name: this.name,
+            ...this.totals,
+            pending: this.batch.length,
+            docs_per_sec: elapsedSec
+                ? Number((this.window.indexed / elapsedSec).toFixed(2))
+                : 0,
+        };
+    }
+
+    _logThroughput() {
+        if (this.window.indexed > 0) {
+            const { docs_per_sec, failed, batches } = this.stats();
+            console.log(
+                `📊 ${this.name}: ${this.window.indexed} docs in the last minute (${docs_per_sec}/s, ${batches} batches, ${failed} failed total)`
+            );
+        }
+        this.window = { started: Date.now(), indexed: 0 };
+    }
+}
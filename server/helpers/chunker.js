@@ -0,0 +1,122 @@
+// Sentence-aware chunking of transcript utterances for transcript_chunks.
+// Chunks end on sentence boundaries (preferably at a change of speaker),
+// target a token budget and repeat the tail of the previous chunk so a
+// thought that straddles a cut can still be retrieved as a whole.
+
+// Once a chunk is this full, end it at the next change of speaker
+const TURN_CUT_FILL = 0.6;
+
+// Sentence ends: Latin punctuation followed by a space, or CJK punctuation
+const SENTENCE_END = /(?<=[.!?\u2026])\s+|(?<=[\u3002\uff01\uff1f])/;
+const CJK_CHAR = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g; // kana, han, hangul
+
+/**
+ * Rough token count without a tokenizer: ~4 characters per token for
+ * alphabetic scripts, one token per CJK character
+ * @param {String} text
+ * @return {Number}
+ */
+export function estimateTokens(text) {
+    const cjk = (text.match(CJK_CHAR) || []).length;
+    return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * Split an utterance into sentence units that keep the utterance's speaker,
+ * timing and language
+ * @param {Object} utterance - { speakerId, speakerName, text, timestamp, endTime, language }
+ * @return {Array<Object>} Units with an added tokens field
+ */
+export function splitSentences(utterance) {
+    return utterance.text
+        .split(SENTENCE_END)
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((text) => ({
+            ...utterance,
+            text,
+            tokens: estimateTokens(text),
+        }));
+}
+
+function sumTokens(units) {
+    return units.reduce((sum, u) => sum + u.tokens, 0);
+}
+
+// Trailing units of a chunk that fit in the overlap budget
+function overlapTail(units, overlapTokens) {
+    const tail = [];
+    let tokens = 0;
+    for (let i = units.length - 1; i >= 0; i--) {
+        if (tokens + units[i].tokens > overlapTokens) break;
+        tokens += units[i].tokens;
+        tail.unshift(units[i]);
+    }
+    // Never carry the whole chunk over
+    return tail.length === units.length ? tail.slice(1) : tail;
+}
+
+/**
+ * Pack sentence units into chunks
+ * @param {Array<Object>} units - From splitSentences(), in order
+ * @param {Object} options
+ * @param {Number} options.targetTokens - Token budget per chunk
+ * @param {Number} options.overlapTokens - Tokens repeated from the previous chunk
+ * @param {Array<Object>} [options.overlap=[]] - Tail of the previous chunk
+ * @param {Boolean} [options.flushAll=false] - Also emit the last, unfilled chunk
+ * @return {Object} { chunks: [{ units, overlapCount }], remainder, overlap }
+ *   remainder holds units still waiting for a full chunk and overlap the
+ *   tail to pass in with them next time
+ */
+export function packChunks(
+    units,
+    { targetTokens, overlapTokens, overlap = [], flushAll = false }
+) {
+    const chunks = [];
+    let carried = overlap;
+    let current = [];
+
+    const close = () => {
+        const all = [...carried, ...current];
+        chunks.push({ units: all, overlapCount: carried.length });
+        carried = overlapTail(all, overlapTokens);
+        current = [];
+    };
+
+    for (const unit of units) {
+        if (current.length > 0) {
+            const tokens = sumTokens(carried) + sumTokens(current);
+            const newTurn =
+                unit.speakerId !== current[current.length - 1].speakerId;
+            if (
+                tokens + unit.tokens > targetTokens ||
+                (newTurn && tokens >= targetTokens * TURN_CUT_FILL)
+            ) {
+                close();
+            }
+        }
+        current.push(unit);
+    }
+
+    if (current.length > 0 && flushAll) close();
+    return { chunks, remainder: current, overlap: carried };
+}
+
+/**
+ * Chunk text with one "Speaker: sentences" line per speaker turn
+ * @param {Array<Object>} units
+ * @return {String}
+ */
+export function formatChunkText(units) {
+    const lines = [];
+    let previous = null;
+    for (const unit of units) {
+        if (previous && previous.speakerId === unit.speakerId) {
+            lines[lines.length - 1] += ` ${unit.text}`;
+        } else {
+            lines.push(`${unit.speakerName}: ${unit.text}`);
+        }
+        previous = unit;
+    }
+    return lines.join('\n');
+}
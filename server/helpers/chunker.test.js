@@ -0,0 +1,164 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import {
+    estimateTokens,
+    formatChunkText,
+    packChunks,
+    splitSentences,
+} from './chunker.js';
+
+// A sentence unit of exactly `tokens` tokens
+function unit(speakerId, text, tokens) {
+    return { speakerId, speakerName: speakerId.toUpperCase(), text, tokens };
+}
+
+describe('estimateTokens', () => {
+    test('counts ~4 characters per token', () => {
+        assert.equal(estimateTokens('abcdefgh'), 2);
+        assert.equal(estimateTokens('abcdefghi'), 3);
+    });
+
+    test('counts one token per CJK character', () => {
+        assert.equal(estimateTokens('会議です'), 4);
+        assert.equal(estimateTokens('회의 ok'), 3);
+    });
+});
+
+describe('splitSentences', () => {
+    test('splits on sentence ends and keeps the utterance fields', () => {
+        const units = splitSentences({
+            speakerId: 'a',
+            speakerName: 'A',
+            text: 'First one. Second one?  Third!',
+            timestamp: '2024-01-01T00:00:00.000Z',
+            language: 'en',
+        });
+        assert.deepEqual(
+            units.map((u) => u.text),
+            ['First one.', 'Second one?', 'Third!']
+        );
+        for (const u of units) {
+            assert.equal(u.speakerId, 'a');
+            assert.equal(u.language, 'en');
+            assert.equal(u.tokens, estimateTokens(u.text));
+        }
+    });
+
+    test('splits after CJK punctuation without a space', () => {
+        const units = splitSentences({ text: '始めます。次です。' });
+        assert.deepEqual(
+            units.map((u) => u.text),
+            ['始めます。', '次です。']
+        );
+    });
+});
+
+describe('packChunks', () => {
+    const options = { targetTokens: 10, overlapTokens: 3 };
+
+    test('fills chunks up to the budget and holds back the rest', () => {
+        const units = [
+            unit('a', 's1', 4),
+            unit('a', 's2', 4),
+            unit('a', 's3', 4),
+        ];
+        const { chunks, remainder } = packChunks(units, options);
+        assert.equal(chunks.length, 1);
+        assert.deepEqual(
+            chunks[0].units.map((u) => u.text),
+            ['s1', 's2']
+        );
+        assert.deepEqual(
+            remainder.map((u) => u.text),
+            ['s3']
+        );
+    });
+
+    test('repeats the tail of the previous chunk within the overlap budget', () => {
+        const units = [
+            unit('a', 's1', 4),
+            unit('a', 's2', 3),
+            unit('a', 's3', 5),
+        ];
+        const { chunks, overlap } = packChunks(units, {
+            ...options,
+            flushAll: true,
+        });
+        assert.equal(chunks.length, 2);
+        assert.equal(chunks[1].overlapCount, 1);
+        assert.equal(chunks[1].units[0].text, 's2');
+        assert.deepEqual(
+            overlap.map((u) => u.text),
+            []
+        );
+    });
+
+    test('carries the overlap into the next call', () => {
+        const first = packChunks(
+            [unit('a', 's1', 6), unit('a', 's2', 3), unit('a', 's3', 6)],
+            options
+        );
+        assert.deepEqual(
+            first.overlap.map((u) => u.text),
+            ['s2']
+        );
+
+        const next = packChunks(first.remainder, {
+            ...options,
+            overlap: first.overlap,
+            flushAll: true,
+        });
+        assert.deepEqual(
+            next.chunks[0].units.map((u) => u.text),
+            ['s2', 's3']
+        );
+        assert.equal(next.chunks[0].overlapCount, 1);
+    });
+
+    test('never carries a whole chunk over', () => {
+        const { chunks, overlap } = packChunks([unit('a', 's1', 2)], {
+            ...options,
+            flushAll: true,
+        });
+        assert.equal(chunks.length, 1);
+        assert.deepEqual(overlap, []);
+    });
+
+    test('ends a well-filled chunk at a change of speaker', () => {
+        const units = [
+            unit('a', 's1', 4),
+            unit('a', 's2', 3),
+            unit('b', 's3', 2),
+        ];
+        const { chunks, remainder } = packChunks(units, options);
+        assert.deepEqual(
+            chunks[0].units.map((u) => u.text),
+            ['s1', 's2']
+        );
+        assert.deepEqual(
+            remainder.map((u) => u.text),
+            ['s3']
+        );
+    });
+
+    test('keeps everything pending until flushAll', () => {
+        const units = [unit('a', 's1', 2), unit('a', 's2', 2)];
+        assert.equal(packChunks(units, options).chunks.length, 0);
+
+        const flushed = packChunks(units, { ...options, flushAll: true });
+        assert.equal(flushed.chunks.length, 1);
+        assert.deepEqual(flushed.remainder, []);
+    });
+});
+
+describe('formatChunkText', () => {
+    test('writes one line per speaker turn', () => {
+        const text = formatChunkText([
+            unit('a', 'Hi.', 1),
+            unit('a', 'How are you?', 1),
+            unit('b', 'Fine.', 1),
+            unit('a', 'Good.', 1),
+        ]);
+        assert.equal(text, 'A: Hi. How are you?\nB: Fine.\nA: Good.');
+    });
+});
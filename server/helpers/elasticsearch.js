@@ -1,5 +1,12 @@
 import { Client } from '@elastic/elasticsearch';
-import { elasticsearchUrl } from '../../config.js';
+import {
+    elasticsearchUrl,
+    esBulkFlushMs,
+    esBulkMaxDocs,
+} from '../../config.js';
+import { BulkIndexer } from './bulk-indexer.js';
+import { analyzerFor, CHUNK_TEXT_ANALYZERS } from './languages.js';
+import { WriteAheadQueue } from './write-queue.js';
 
 const esClient = new Client({
     node: elasticsearchUrl,
@@ -7,12 +14,186 @@ const esClient = new Client({
     maxRetries: 5,
 });
 
-// Readiness gate — resolves once indices are initialized
-let indicesReady;
-const indicesReadyPromise = new Promise((resolve) => {
-    indicesReady = resolve;
+// semantic_text can't take an analyzer, so text is also copied into the
+// text_analyzed sub-field for its language (e.g. text_analyzed.spanish)
+const analyzedTextMapping = {
+    properties: Object.fromEntries(
+        CHUNK_TEXT_ANALYZERS.map((analyzer) => [
+            analyzer,
+            { type: 'text', analyzer },
+        ])
+    ),
+};
+
+function analyzedText(text, language) {
+    return { [analyzerFor(language)]: text };
+}
+
+// Readiness gate, per index. An index that could not be set up (e.g. its
+// inference endpoint is missing) only holds back its own reads and writes.
+const readyIndices = new Set();
+let indicesInitialized;
+let indicesWereInitialized = false;
+const indicesInitializedPromise = new Promise((resolve) => {
+    indicesInitialized = resolve;
+});
+
+// How long reads wait for indices before giving up
+const INDICES_READY_TIMEOUT_MS = 5000;
+
+/**
+ * Wait for the first initializeIndices() run to finish, failing fast if ES
+ * never came up
+ * @param {...String} indices - Indices the caller reads
+ * @throws {Error} When any of them is not set up
+ */
+async function waitForIndices(...indices) {
+    if (!indicesWereInitialized) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new Error('Elasticsearch indices are not ready')),
+                INDICES_READY_TIMEOUT_MS
+            );
+        });
+        try {
+            await Promise.race([indicesInitializedPromise, timeout]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    const missing = indices.filter((index) => !readyIndices.has(index));
+    if (missing.length) {
+        throw new Error(
+            `Elasticsearch indices are not ready: ${missing.join(', ')}`
+        );
+    }
+}
+
+// Connection problems, throttling and server errors are worth retrying;
+// anything else (bad mapping, malformed doc) will fail the same way again
+function isRetriableEsError(error) {
+    if (error.retriable) return true;
+    if (
+        [
+            'ConnectionError',
+            'TimeoutError',
+            'NoLivingConnectionsError',
+        ].includes(error.name)
+    ) {
+        return true;
+    }
+    const status = error.meta?.statusCode;
+    return status === 429 || status >= 500;
+}
+
+async function executeWrite(op) {
+    const { action, index } = op;
+    if (!readyIndices.has(index)) {
+        const error = new Error(`Elasticsearch index ${index} is not ready`);
+        error.retriable = true;
+        throw error;
+    }
+    switch (action) {
+        case 'index':
+            return esClient.index({ index, id: op.id, document: op.document });
+        case 'update_by_query':
+            // A document indexed just before (e.g. both replayed from the
+            // queue) is only matched once the index is refreshed
+            await esClient.indices.refresh({ index });
+            return esClient.updateByQuery({
+                index,
+                query: op.query,
+                script: op.script,
+                conflicts: 'proceed',
+            });
+        default:
+            throw new Error(`Unknown write action: ${action}`);
+    }
+}
+
+// Writes that could not reach ES are persisted here and replayed in order,
+// one queue per index so an index that is down doesn't hold back the others
+const writeQueues = new Map(); // index -> WriteAheadQueue
+
+function writeQueueFor(index) {
+    if (!writeQueues.has(index)) {
+        writeQueues.set(
+            index,
+            new WriteAheadQueue({
+                name: `es-write-queue.${index}`,
+                execute: executeWrite,
+                isRetriable: isRetriableEsError,
+            })
+        );
+    }
+    return writeQueues.get(index);
+}
+
+function markIndexReady(name) {
+    readyIndices.add(name);
+    writeQueueFor(name).drainNow();
+}
+
+// High-volume transcript writes are batched into _bulk requests
+const bulkIndexer = new BulkIndexer({
+    client: esClient,
+    name: 'es-bulk',
+    maxDocs: esBulkMaxDocs,
+    flushIntervalMs: esBulkFlushMs,
+    isRetriable: isRetriableEsError,
 });
 
+/**
+ * Apply a write now if its index is healthy, otherwise queue it on disk.
+ * Once anything is queued for an index, later writes to it queue behind it
+ * to keep order.
+ * A bulk batch with a retriable item failure rejects that item and every
+ * later one, so they are queued here in batch order.
+ * @param {Object} op - { action: 'index', index, id, document } or
+ *   { action: 'update_by_query', index, query, script }
+ * @param {Object} [options]
+ * @param {Boolean} [options.bulk=false] - Send through the bulk indexer
+ * @return {Promise<Object>} ES response, or { result: 'queued' }
+ */
+async function writeDocument(op, { bulk = false } = {}) {
+    const queue = writeQueueFor(op.index);
+    if (readyIndices.has(op.index) && queue.depth === 0) {
+        try {
+            return await (bulk ? bulkIndexer.add(op) : executeWrite(op));
+        } catch (error) {
+            if (!isRetriableEsError(error)) throw error;
+            console.warn(
+                `⏳ ES write to ${op.index} failed (${error.message}) — queued for retry`
+            );
+        }
+    }
+    queue.enqueue(op);
+    return { result: 'queued' };
+}
+
+/**
+ * Pending ES writes per index (depth, oldest item age) and the indices that
+ * are not set up yet
+ */
+export function getWriteQueueStats() {
+    const queues = [...writeQueues.values()].map((queue) => queue.stats());
+    return {
+        depth: queues.reduce((sum, queue) => sum + queue.depth, 0),
+        not_ready: INDICES.map(({ name }) => name).filter(
+            (name) => !readyIndices.has(name)
+        ),
+        queues,
+    };
+}
+
+/**
+ * Bulk indexer totals and throughput
+ */
+export function getBulkIndexerStats() {
+    return bulkIndexer.stats();
+}
+
 // Test connection with retries
 export async function testConnection(retries = 5) {
     for (let i = 0; i < retries; i++) {
@@ -37,68 +218,214 @@ export async function testConnection(retries = 5) {
     return false;
 }
 
-// Initialize indices (run on startup)
-export async function initializeIndices() {
-    const indices = [
-        {
-            name: 'meetings',
-            mappings: {
-                properties: {
-                    meeting_id: { type: 'keyword' },
-                    meeting_uuid: { type: 'keyword' },
-                    start_time: { type: 'date' },
-                    end_time: { type: 'date' },
-                    participants: { type: 'keyword' },
-                    status: { type: 'keyword' },
-                },
+// Index names and mappings, created or updated by initializeIndices()
+const INDICES = [
+    {
+        name: 'meetings',
+        mappings: {
+            properties: {
+                meeting_id: { type: 'keyword' },
+                meeting_uuid: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                start_time: { type: 'date' },
+                end_time: { type: 'date' },
+                participants: { type: 'keyword' },
+                status: { type: 'keyword' },
             },
         },
-        {
-            name: 'transcript_chunks',
-            mappings: {
-                properties: {
-                    meeting_id: { type: 'keyword' },
-                    speaker_ids: { type: 'keyword' },
-                    speaker_names: { type: 'keyword' },
-                    start_time: { type: 'date' },
-                    end_time: { type: 'date' },
-                    text: {
-                        type: 'semantic_text',
-                        inference_id: 'jina_embeddings',
-                    },
-                    chunk_id: { type: 'keyword' },
+    },
+    {
+        name: 'transcript_chunks',
+        mappings: {
+            properties: {
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                speaker_ids: { type: 'keyword' },
+                speaker_names: { type: 'keyword' },
+                start_time: { type: 'date' },
+                end_time: { type: 'date' },
+                text: {
+                    type: 'semantic_text',
+                    inference_id: 'jina_embeddings',
                 },
+                chunk_id: { type: 'keyword' },
+                chunk_seq: { type: 'integer' },
+                prev_chunk_id: { type: 'keyword' },
+                token_count: { type: 'integer' },
+                overlap_tokens: { type: 'integer' },
+                language: { type: 'keyword' },
+                text_analyzed: analyzedTextMapping,
             },
         },
-        {
-            name: 'speaker_transcripts',
-            mappings: {
-                properties: {
-                    speaker_id: { type: 'keyword' },
-                    speaker_name: { type: 'keyword' },
-                    meeting_id: { type: 'keyword' },
-                    text: { type: 'text' },
-                    timestamp: { type: 'date' },
+    },
+    {
+        name: 'speaker_transcripts',
+        mappings: {
+            properties: {
+                speaker_id: { type: 'keyword' },
+                speaker_name: { type: 'keyword' },
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                text: { type: 'text' },
+                timestamp: { type: 'date' },
+                start_time: { type: 'date' },
+                end_time: { type: 'date' },
+                language: { type: 'keyword' },
+            },
+        },
+    },
+    {
+        name: 'chat_messages',
+        mappings: {
+            properties: {
+                message_id: { type: 'keyword' },
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                sender_id: { type: 'keyword' },
+                sender_name: { type: 'keyword' },
+                text: {
+                    type: 'semantic_text',
+                    inference_id: 'jina_embeddings',
                 },
+                timestamp: { type: 'date' },
+                language: { type: 'keyword' },
+                text_analyzed: analyzedTextMapping,
+            },
+        },
+    },
+    {
+        name: 'attendance',
+        mappings: {
+            properties: {
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                user_id: { type: 'keyword' },
+                user_name: { type: 'keyword' },
+                joined_at: { type: 'date' },
+                left_at: { type: 'date' },
+                duration_ms: { type: 'long' },
             },
         },
-        {
-            name: 'speaker_context',
-            mappings: {
-                properties: {
-                    speaker_id: { type: 'keyword' },
-                    speaker_name: { type: 'text' },
-                    meeting_id: { type: 'keyword' },
-                    context_summary: { type: 'text' },
-                    topics: { type: 'keyword' },
-                    last_updated: { type: 'date' },
-                    segment_count: { type: 'integer' },
+    },
+    {
+        name: 'meeting_analytics',
+        mappings: {
+            properties: {
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                status: { type: 'keyword' },
+                updated_at: { type: 'date' },
+                start_time: { type: 'date' },
+                end_time: { type: 'date' },
+                total_talk_ms: { type: 'long' },
+                turn_count: { type: 'integer' },
+                speakers: {
+                    properties: {
+                        speaker_id: { type: 'keyword' },
+                        speaker_name: { type: 'keyword' },
+                        talk_time_ms: { type: 'long' },
+                        share_of_voice: { type: 'float' },
+                        turns: { type: 'integer' },
+                        longest_monologue_ms: { type: 'long' },
+                        interruptions: { type: 'integer' },
+                        interrupted: { type: 'integer' },
+                    },
                 },
+                timeline: { type: 'object', enabled: false },
+            },
+        },
+    },
+    {
+        name: 'meeting_summary',
+        mappings: {
+            properties: {
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                overview: { type: 'text' },
+                key_points: { type: 'text' },
+                open_questions: { type: 'text' },
+                language: { type: 'keyword' },
+                chunk_count: { type: 'integer' },
+                last_chunk_seq: { type: 'integer' },
+                last_chunk_id: { type: 'keyword' },
+                start_time: { type: 'date' },
+                end_time: { type: 'date' },
+                updated_at: { type: 'date' },
+            },
+        },
+    },
+    {
+        name: 'action_items',
+        mappings: {
+            properties: {
+                item_id: { type: 'keyword' },
+                meeting_id: { type: 'keyword' },
+                product_type: { type: 'keyword' },
+                type: { type: 'keyword' },
+                text: { type: 'text' },
+                owner: { type: 'keyword' },
+                due_date: { type: 'date' },
+                due_text: { type: 'text' },
+                status: { type: 'keyword' },
+                origin: { type: 'keyword' },
+                source_chunk_ids: { type: 'keyword' },
+                edited_fields: { type: 'keyword' },
+                language: { type: 'keyword' },
+                created_at: { type: 'date' },
+                updated_at: { type: 'date' },
+            },
+        },
+    },
+    {
+        name: 'speaker_context',
+        mappings: {
+            properties: {
+                speaker_id: { type: 'keyword' },
+                speaker_name: { type: 'text' },
+                meeting_id: { type: 'keyword' },
+                context_summary: { type: 'text' },
+                topics: { type: 'keyword' },
+                last_updated: { type: 'date' },
+                segment_count: { type: 'integer' },
+                language: { type: 'keyword' },
+                revision: { type: 'integer' },
+            },
+        },
+    },
+    {
+        name: 'speaker_context_history',
+        mappings: {
+            properties: {
+                speaker_id: { type: 'keyword' },
+                speaker_name: { type: 'text' },
+                meeting_id: { type: 'keyword' },
+                revision: { type: 'integer' },
+                context_summary: { type: 'text' },
+                topics: { type: 'keyword' },
+                language: { type: 'keyword' },
+                created_at: { type: 'date' },
+                segment_count: { type: 'integer' },
+                utterance_count: { type: 'integer' },
+                from_time: { type: 'date' },
+                to_time: { type: 'date' },
             },
         },
-    ];
+    },
+];
+
+// Pick up writes queued on disk by the previous process
+INDICES.forEach(({ name }) => writeQueueFor(name));
 
-    for (const index of indices) {
+/**
+ * Create or update every index not set up yet (run on startup, and again
+ * until nothing fails). Each index that is set up serves reads and replays
+ * its queued writes right away.
+ * @return {Promise<Array<String>>} Names of the indices that failed
+ */
+export async function initializeIndices() {
+    const failed = [];
+    for (const index of INDICES) {
+        if (readyIndices.has(index.name)) continue;
         try {
             const exists = await esClient.indices.exists({ index: index.name });
             if (exists) {
@@ -121,9 +448,15 @@ export async function initializeIndices() {
                         console.log(
                             `✅ Recreated index: ${index.name} with semantic_text`
                         );
+                        markIndexReady(index.name);
                         continue;
                     }
                 }
+                // Add any fields introduced since the index was created
+                await esClient.indices.putMapping({
+                    index: index.name,
+                    properties: index.mappings.properties,
+                });
                 console.log(`ℹ️  Index already exists: ${index.name}`);
             } else {
                 await esClient.indices.create({
@@ -132,26 +465,42 @@ export async function initializeIndices() {
                 });
                 console.log(`✅ Created index: ${index.name}`);
             }
+            markIndexReady(index.name);
         } catch (error) {
             console.error(
                 `❌ Failed to create index ${index.name}:`,
                 error.message
             );
+            failed.push(index.name);
         }
     }
 
-    indicesReady();
+    indicesWereInitialized = true;
+    indicesInitialized();
+    return failed;
 }
 
 // Insert a transcript chunk — ES auto-embeds via semantic_text
+// chunk_id doubles as the document ID so client retries can't duplicate it
 export async function insertTranscriptChunk(chunk) {
-    await indicesReadyPromise;
     try {
-        const result = await esClient.index({
-            index: 'transcript_chunks',
-            document: chunk,
-        });
-        console.log(`✅ Inserted transcript chunk: ${chunk.chunk_id}`);
+        const result = await writeDocument(
+            {
+                action: 'index',
+                index: 'transcript_chunks',
+                id: chunk.chunk_id,
+                document: {
+                    ...chunk,
+                    text_analyzed: analyzedText(chunk.text, chunk.language),
+                },
+            },
+            { bulk: true }
+        );
+        console.log(
+            `✅ ${
+                result.result === 'queued' ? 'Queued' : 'Inserted'
+            } transcript chunk: ${chunk.chunk_id}`
+        );
         return result;
     } catch (error) {
         console.error('❌ Error inserting transcript chunk:', error);
@@ -160,52 +509,123 @@ export async function insertTranscriptChunk(chunk) {
 }
 
 // Insert a raw speaker utterance into speaker_transcripts
+// utterance_id (see transcript-dedupe.js) is used as the document ID
 export async function insertSpeakerTranscript(utterance) {
-    await indicesReadyPromise;
     try {
-        await esClient.index({
-            index: 'speaker_transcripts',
-            document: {
-                speaker_id: utterance.speaker_id,
-                speaker_name: utterance.speaker_name,
-                meeting_id: utterance.meeting_id,
-                text: utterance.text,
-                timestamp: utterance.timestamp,
+        await writeDocument(
+            {
+                action: 'index',
+                index: 'speaker_transcripts',
+                id: utterance.utterance_id,
+                document: {
+                    speaker_id: utterance.speaker_id,
+                    speaker_name: utterance.speaker_name,
+                    meeting_id: utterance.meeting_id,
+                    product_type: utterance.product_type,
+                    text: utterance.text,
+                    timestamp: utterance.timestamp,
+                    start_time: utterance.start_time,
+                    end_time: utterance.end_time,
+                    language: utterance.language,
+                },
             },
-        });
+            { bulk: true }
+        );
     } catch (error) {
         console.error('❌ Error inserting speaker transcript:', error.message);
     }
 }
 
-// Search transcript chunks — tries semantic search first, falls back to text match
-export async function semanticSearch(query, meetingId, speakerId, size = 10) {
-    await indicesReadyPromise;
+// Insert an in-meeting chat message into chat_messages
+// message_id (see transcript-dedupe.js) is used as the document ID
+export async function insertChatMessage(message) {
+    try {
+        await writeDocument(
+            {
+                action: 'index',
+                index: 'chat_messages',
+                id: message.message_id,
+                document: {
+                    ...message,
+                    text_analyzed: analyzedText(message.text, message.language),
+                },
+            },
+            { bulk: true }
+        );
+    } catch (error) {
+        console.error('❌ Error inserting chat message:', error.message);
+    }
+}
 
+// Indices searched by semanticSearch, and what each hit is tagged as
+const SEARCH_SOURCES = {
+    transcript_chunks: 'transcript',
+    chat_messages: 'chat',
+};
+
+function toSearchResult(hit) {
+    return {
+        ...hit._source,
+        source: SEARCH_SOURCES[hit._index],
+        score: hit._score,
+    };
+}
+
+// Search transcript chunks and chat messages — tries semantic search first,
+// falls back to text match. Each result carries source: 'transcript' | 'chat'.
+export async function semanticSearch(query, meetingId, speakerId, size = 10) {
+    await waitForIndices();
+    // Search what is available, e.g. chunks without chat
+    const index = Object.keys(SEARCH_SOURCES).filter((name) =>
+        readyIndices.has(name)
+    );
+    if (index.length === 0)
+        await waitForIndices(...Object.keys(SEARCH_SOURCES));
     const filter = [];
-    if (speakerId) filter.push({ term: { speaker_ids: speakerId } });
+    if (speakerId) {
+        // Chunks list every speaker, chat messages have a single sender
+        filter.push({
+            bool: {
+                should: [
+                    { term: { speaker_ids: speakerId } },
+                    { term: { sender_id: speakerId } },
+                ],
+                minimum_should_match: 1,
+            },
+        });
+    }
 
     // Try semantic search first (requires jina_embeddings + semantic_text field)
     try {
         const must = [{ semantic: { field: 'text', query } }];
         const result = await esClient.search({
-            index: 'transcript_chunks',
+            index,
             query: { bool: { must, filter } },
+            _source_excludes: ['text_analyzed'],
             size,
         });
-        return result.hits.hits.map((h) => ({ ...h._source, score: h._score }));
+        return result.hits.hits.map(toSearchResult);
     } catch {
         // Fallback to regular text match
     }
 
     try {
-        const must = [{ match: { text: query } }];
+        // Language analyzers stem "reuniones" to match "reunión" etc.
+        const must = [
+            {
+                multi_match: {
+                    query,
+                    fields: ['text', 'text_analyzed.*'],
+                },
+            },
+        ];
         const result = await esClient.search({
-            index: 'transcript_chunks',
+            index,
             query: { bool: { must, filter } },
+            _source_excludes: ['text_analyzed'],
             size,
         });
-        return result.hits.hits.map((h) => ({ ...h._source, score: h._score }));
+        return result.hits.hits.map(toSearchResult);
     } catch (error) {
         console.error('❌ Error in text search:', error.message);
         throw error;
@@ -219,12 +639,14 @@ export async function upsertSpeakerContext(
     meetingId,
     summary,
     topics,
-    segmentCount
+    segmentCount,
+    language = null,
+    revision = null
 ) {
-    await indicesReadyPromise;
     try {
         const docId = `${meetingId}-${speakerId}`;
-        const result = await esClient.index({
+        const result = await writeDocument({
+            action: 'index',
             index: 'speaker_context',
             id: docId,
             document: {
@@ -235,9 +657,15 @@ export async function upsertSpeakerContext(
                 topics,
                 last_updated: new Date().toISOString(),
                 segment_count: segmentCount,
+                language,
+                revision,
             },
         });
-        console.log(`✅ Upserted speaker context: ${speakerName} (${docId})`);
+        console.log(
+            `✅ ${
+                result.result === 'queued' ? 'Queued' : 'Upserted'
+            } speaker context: ${speakerName} (${docId})`
+        );
         return result;
     } catch (error) {
         console.error('❌ Error upserting speaker context:', error);
@@ -247,7 +675,7 @@ export async function upsertSpeakerContext(
 
 // Get speaker context from speaker_context index
 export async function getSpeakerContext(speakerId, meetingId) {
-    await indicesReadyPromise;
+    await waitForIndices('speaker_context');
     try {
         const docId = `${meetingId}-${speakerId}`;
         const result = await esClient.get({
@@ -264,10 +692,278 @@ export async function getSpeakerContext(speakerId, meetingId) {
     }
 }
 
+// Keep one revision of a speaker's summary in speaker_context_history
+// (speaker_context only holds the latest)
+export async function insertSpeakerContextRevision(revision) {
+    try {
+        await writeDocument({
+            action: 'index',
+            index: 'speaker_context_history',
+            id: `${revision.meeting_id}-${revision.speaker_id}-${revision.revision}`,
+            document: revision,
+        });
+    } catch (error) {
+        console.error('❌ Error writing speaker context revision:', error);
+        throw error;
+    }
+}
+
+// Every summary revision of a speaker in a meeting, oldest first
+export async function getSpeakerContextHistory(speakerId, meetingId) {
+    await waitForIndices('speaker_context_history');
+    const result = await esClient.search({
+        index: 'speaker_context_history',
+        query: {
+            bool: {
+                filter: [
+                    { term: { speaker_id: speakerId } },
+                    { term: { meeting_id: meetingId } },
+                ],
+            },
+        },
+        sort: [{ revision: 'asc' }],
+        size: 1000,
+    });
+    return result.hits.hits.map((hit) => hit._source);
+}
+
+// Write one attendance interval — indexed on join (left_at null) and
+// re-indexed under the same ID when the participant leaves
+export async function upsertAttendanceInterval(interval) {
+    const docId = `${interval.meeting_id}-${interval.user_id}-${interval.joined_at}`;
+    try {
+        await writeDocument({
+            action: 'index',
+            index: 'attendance',
+            id: docId,
+            document: interval,
+        });
+    } catch (error) {
+        console.error('❌ Error writing attendance interval:', error.message);
+        throw error;
+    }
+}
+
+// All attendance intervals for a meeting, oldest first
+export async function getAttendanceIntervals(meetingId) {
+    await waitForIndices('attendance');
+    const result = await esClient.search({
+        index: 'attendance',
+        query: { term: { meeting_id: meetingId } },
+        sort: [{ joined_at: 'asc' }],
+        size: 1000,
+    });
+    return result.hits.hits.map((hit) => hit._source);
+}
+
+// Record who attended on the meeting's entry in the meetings index
+export async function setMeetingParticipants(meetingUuid, participants) {
+    try {
+        await writeDocument({
+            action: 'update_by_query',
+            index: 'meetings',
+            query: { term: { meeting_uuid: meetingUuid } },
+            script: {
+                source: 'ctx._source.participants = params.participants',
+                params: { participants },
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error updating meeting participants:', error.message);
+    }
+}
+
+// Close the meeting's entry in the meetings index once its stream stopped
+export async function setMeetingEnded(meetingUuid) {
+    try {
+        await writeDocument({
+            action: 'update_by_query',
+            index: 'meetings',
+            query: { term: { meeting_uuid: meetingUuid } },
+            script: {
+                source: "ctx._source.status = 'ended'; ctx._source.end_time = params.end_time",
+                params: { end_time: new Date().toISOString() },
+            },
+        });
+    } catch (error) {
+        console.error('❌ Error marking meeting ended:', error.message);
+    }
+}
+
+// Which of the given meeting UUIDs are still active in the meetings index
+export async function getActiveMeetingUuids(meetingUuids) {
+    await waitForIndices('meetings');
+    const result = await esClient.search({
+        index: 'meetings',
+        query: {
+            bool: {
+                filter: [
+                    { terms: { meeting_uuid: meetingUuids } },
+                    { term: { status: 'active' } },
+                ],
+            },
+        },
+        _source: ['meeting_uuid'],
+        size: meetingUuids.length,
+    });
+    return result.hits.hits.map((hit) => hit._source.meeting_uuid);
+}
+
+// Store a meeting's talk-time analytics (one document per meeting)
+export async function upsertMeetingAnalytics(analytics) {
+    try {
+        await writeDocument({
+            action: 'index',
+            index: 'meeting_analytics',
+            id: analytics.meeting_id,
+            document: analytics,
+        });
+    } catch (error) {
+        console.error('❌ Error writing meeting analytics:', error.message);
+    }
+}
+
+// Get a meeting's stored talk-time analytics
+export async function getMeetingAnalytics(meetingId) {
+    await waitForIndices('meeting_analytics');
+    try {
+        const result = await esClient.get({
+            index: 'meeting_analytics',
+            id: meetingId,
+        });
+        return result._source;
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Store a meeting's rolling summary (one document per meeting)
+export async function upsertMeetingSummary(summary) {
+    try {
+        await writeDocument({
+            action: 'index',
+            index: 'meeting_summary',
+            id: summary.meeting_id,
+            document: summary,
+        });
+    } catch (error) {
+        console.error('❌ Error writing meeting summary:', error.message);
+        throw error;
+    }
+}
+
+// Get a meeting's rolling summary
+export async function getMeetingSummary(meetingId) {
+    await waitForIndices('meeting_summary');
+    try {
+        const result = await esClient.get({
+            index: 'meeting_summary',
+            id: meetingId,
+        });
+        return result._source;
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Store a new action item or decision
+export async function insertActionItem(item) {
+    try {
+        await writeDocument({
+            action: 'index',
+            index: 'action_items',
+            id: item.item_id,
+            document: item,
+        });
+    } catch (error) {
+        console.error('❌ Error writing action item:', error.message);
+        throw error;
+    }
+}
+
+// Action items and decisions of a meeting, oldest first
+export async function getActionItems(meetingId, { type, status } = {}) {
+    await waitForIndices('action_items');
+    const filter = [{ term: { meeting_id: meetingId } }];
+    if (type) filter.push({ term: { type } });
+    if (status) filter.push({ term: { status } });
+    const result = await esClient.search({
+        index: 'action_items',
+        query: { bool: { filter } },
+        sort: [{ created_at: 'asc' }],
+        size: 1000,
+    });
+    return result.hits.hits.map((hit) => hit._source);
+}
+
+// Get one action item or decision
+export async function getActionItem(itemId) {
+    await waitForIndices('action_items');
+    try {
+        const result = await esClient.get({
+            index: 'action_items',
+            id: itemId,
+        });
+        return result._source;
+    } catch (error) {
+        if (error.meta?.statusCode === 404) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Read-modify-write an action item. Users and the extractor can change the
+// same item at once, so the write only succeeds on the version that was read
+// and is retried on a conflict. change() returns the new document.
+export async function modifyActionItem(itemId, change, retries = 3) {
+    await waitForIndices('action_items');
+    for (let attempt = 0; ; attempt++) {
+        let current;
+        try {
+            current = await esClient.get({
+                index: 'action_items',
+                id: itemId,
+            });
+        } catch (error) {
+            if (error.meta?.statusCode === 404) {
+                return null;
+            }
+            throw error;
+        }
+        const document = {
+            ...change(current._source),
+            updated_at: new Date().toISOString(),
+        };
+        try {
+            await esClient.index({
+                index: 'action_items',
+                id: itemId,
+                document,
+                if_seq_no: current._seq_no,
+                if_primary_term: current._primary_term,
+                refresh: 'wait_for',
+            });
+            return document;
+        } catch (error) {
+            if (error.meta?.statusCode !== 409 || attempt >= retries) {
+                throw error;
+            }
+        }
+    }
+}
+
 // Create/update meeting
 export async function upsertMeeting(meetingData) {
     try {
-        const result = await esClient.index({
+        const result = await writeDocument({
+            action: 'index',
             index: 'meetings',
             id: meetingData.meeting_id,
             document: meetingData,
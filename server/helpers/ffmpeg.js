@@ -0,0 +1,32 @@
+import { spawn } from 'child_process';
+
+// Keep the tail of stderr for error messages
+const STDERR_TAIL_BYTES = 2000;
+
+/**
+ * Run ffmpeg with the given arguments.
+ * Rejects with err.code === 'ENOENT' when ffmpeg is not installed.
+ * @param {Array<String>} args - Arguments after `ffmpeg -hide_banner -loglevel error`
+ * @return {Promise<void>}
+ */
+export function runFfmpeg(args) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(
+            'ffmpeg',
+            ['-hide_banner', '-loglevel', 'error', ...args],
+            { stdio: ['ignore', 'ignore', 'pipe'] }
+        );
+
+        let stderr = '';
+        proc.stderr.on('data', (chunk) => {
+            stderr = (stderr + chunk).slice(-STDERR_TAIL_BYTES);
+        });
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+            if (code === 0) return resolve();
+            reject(
+                new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`)
+            );
+        });
+    });
+}
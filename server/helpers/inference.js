@@ -0,0 +1,25 @@
+import { esClient } from './elasticsearch.js';
+
+// Created by setup-inference.js
+const COMPLETION_PATH = '/_inference/completion/anthropic_completion';
+
+/**
+ * Run a prompt through the Elasticsearch Anthropic completion endpoint.
+ * Callers go through completeStructured() in structured-output.js, which
+ * validates the reply.
+ * @param {String} prompt
+ * @return {Promise<String>} Completion text ('' if the model returned none)
+ */
+export async function complete(prompt) {
+    const result = await esClient.transport.request({
+        method: 'POST',
+        path: COMPLETION_PATH,
+        body: { input: prompt },
+    });
+
+    return (
+        result.completion?.[0]?.result ||
+        result.completion?.result ||
+        (typeof result.completion === 'string' ? result.completion : '')
+    );
+}
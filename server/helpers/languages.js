@@ -0,0 +1,188 @@
+// RTMS LANGUAGE_ID_* → language code, English name and the Elasticsearch
+// analyzer for chunk text ('standard' where ES has no built-in analyzer)
+const RTMS_LANGUAGES = [
+    ['ar', 'Arabic', 'arabic'],
+    ['bn', 'Bengali', 'bengali'],
+    ['yue', 'Cantonese', 'cjk'],
+    ['ca', 'Catalan', 'catalan'],
+    ['zh-CN', 'Chinese (Simplified)', 'cjk'],
+    ['zh-TW', 'Chinese (Traditional)', 'cjk'],
+    ['cs', 'Czech', 'czech'],
+    ['da', 'Danish', 'danish'],
+    ['nl', 'Dutch', 'dutch'],
+    ['en', 'English', 'english'],
+    ['et', 'Estonian', 'estonian'],
+    ['fi', 'Finnish', 'finnish'],
+    ['fr-CA', 'French (Canada)', 'french'],
+    ['fr', 'French', 'french'],
+    ['de', 'German', 'german'],
+    ['he', 'Hebrew', 'standard'],
+    ['hi', 'Hindi', 'hindi'],
+    ['hu', 'Hungarian', 'hungarian'],
+    ['id', 'Indonesian', 'indonesian'],
+    ['it', 'Italian', 'italian'],
+    ['ja', 'Japanese', 'cjk'],
+    ['ko', 'Korean', 'cjk'],
+    ['ms', 'Malay', 'standard'],
+    ['fa', 'Persian', 'persian'],
+    ['pl', 'Polish', 'standard'],
+    ['pt', 'Portuguese', 'portuguese'],
+    ['ro', 'Romanian', 'romanian'],
+    ['ru', 'Russian', 'russian'],
+    ['es', 'Spanish', 'spanish'],
+    ['sv', 'Swedish', 'swedish'],
+    ['tl', 'Tagalog', 'standard'],
+    ['ta', 'Tamil', 'standard'],
+    ['te', 'Telugu', 'standard'],
+    ['th', 'Thai', 'thai'],
+    ['tr', 'Turkish', 'turkish'],
+    ['uk', 'Ukrainian', 'standard'],
+    ['vi', 'Vietnamese', 'standard'],
+];
+
+const byCode = new Map(
+    RTMS_LANGUAGES.map(([code, name, analyzer]) => [
+        code.toLowerCase(),
+        { code, name, analyzer },
+    ])
+);
+
+/** Analyzers with a sub-field under transcript_chunks.text_analyzed */
+export const CHUNK_TEXT_ANALYZERS = [
+    ...new Set(RTMS_LANGUAGES.map(([, , analyzer]) => analyzer)),
+];
+
+// Scripts that identify a language on their own (kana before Han, so
+// Japanese isn't taken for Chinese)
+const SCRIPTS = [
+    [/[\u3040-\u30ff]/, 'ja'], // hiragana, katakana
+    [/[\uac00-\ud7af]/, 'ko'], // hangul
+    [/[\u4e00-\u9fff]/, 'zh-CN'], // han
+    [/[\u0e00-\u0e7f]/, 'th'],
+    [/[\u0590-\u05ff]/, 'he'],
+    [/[\u0600-\u06ff]/, 'ar'],
+    [/[\u0900-\u097f]/, 'hi'], // devanagari
+    [/[\u0980-\u09ff]/, 'bn'],
+    [/[\u0b80-\u0bff]/, 'ta'],
+    [/[\u0c00-\u0c7f]/, 'te'],
+    [/[\u0400-\u04ff]/, 'ru'], // cyrillic
+];
+
+// Frequent function words, for telling Latin-script languages apart
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'to', 'of', 'that', 'you', 'it', 'we', 'this'],
+    es: ['el', 'la', 'que', 'de', 'y', 'es', 'los', 'las', 'por', 'para'],
+    pt: ['o', 'a', 'que', 'de', 'e', 'é', 'os', 'não', 'para', 'com'],
+    fr: ['le', 'la', 'les', 'et', 'est', 'que', 'des', 'une', 'pour', 'pas'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ich', 'wir', 'zu', 'mit'],
+    it: ['il', 'la', 'che', 'di', 'e', 'è', 'non', 'per', 'una', 'gli'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'niet', 'dat', 'van', 'wij', 'ik'],
+};
+const MIN_STOPWORD_HITS = 2;
+
+/**
+ * Normalize a language from RTMS (LANGUAGE_ID_* number), ASR or a client
+ * (BCP 47 tag) to a code such as 'en', 'es' or 'zh-CN'
+ * @param {Number|String|null} value
+ * @return {String|null} null if unknown or 'auto'
+ */
+export function languageCode(value) {
+    if (value == null || value === '') return null;
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+        return RTMS_LANGUAGES[Number(value)]?.[0] ?? null;
+    }
+
+    const tag = String(value).trim().toLowerCase();
+    if (tag === 'auto' || tag === '*') return null;
+    if (byCode.has(tag)) return byCode.get(tag).code;
+    // es-MX → es; tags we have no entry for are kept as sent
+    const primary = tag.split(/[-_]/)[0];
+    return byCode.get(primary)?.code ?? primary;
+}
+
+/**
+ * @param {String} code
+ * @return {String} English name for prompts (the code itself if unknown)
+ */
+export function languageName(code) {
+    return byCode.get(String(code).toLowerCase())?.name ?? code;
+}
+
+/**
+ * @param {String|null} code
+ * @return {String} Elasticsearch analyzer for text in that language
+ */
+export function analyzerFor(code) {
+    if (!code) return 'standard';
+    const lower = code.toLowerCase();
+    return (
+        byCode.get(lower)?.analyzer ??
+        byCode.get(lower.split('-')[0])?.analyzer ??
+        'standard'
+    );
+}
+
+/**
+ * Best-effort guess from the text alone, for chat and ASR without a
+ * language hint: the writing system, then common words for Latin scripts
+ * @param {String} text
+ * @return {String|null}
+ */
+export function detectLanguage(text) {
+    if (!text) return null;
+    for (const [pattern, code] of SCRIPTS) {
+        if (pattern.test(text)) return code;
+    }
+
+    const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+    let best = null;
+    let bestHits = MIN_STOPWORD_HITS - 1;
+    for (const [code, stopwords] of Object.entries(STOPWORDS)) {
+        const hits = words.filter((w) => stopwords.includes(w)).length;
+        if (hits > bestHits) {
+            best = code;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
+
+/**
+ * Language the client asked for: ?lang= or a `language` body field. Browsers
+ * send Accept-Language with every request, so it only counts where
+ * answering in it costs nothing extra (chat answers), never to trigger a
+ * translation.
+ * @param {Object} req - Express request
+ * @param {Object} [options]
+ * @param {Boolean} [options.acceptLanguage=false] - Fall back to the
+ *   Accept-Language header
+ * @return {String|null}
+ */
+export function requestLanguage(req, { acceptLanguage = false } = {}) {
+    return languageCode(
+        req.query?.lang ||
+            req.body?.language ||
+            (acceptLanguage ? req.acceptsLanguages()[0] : null)
+    );
+}
+
+/**
+ * Most common language among utterances, weighted by word count
+ * @param {Array<{text: String, language?: String}>} utterances
+ * @return {String|null}
+ */
+export function dominantLanguage(utterances) {
+    const words = new Map();
+    for (const u of utterances) {
+        if (!u.language) continue;
+        words.set(
+            u.language,
+            (words.get(u.language) || 0) + u.text.split(/\s+/).length
+        );
+    }
+    let best = null;
+    for (const [language, count] of words) {
+        if (!best || count > words.get(best)) best = language;
+    }
+    return best;
+}
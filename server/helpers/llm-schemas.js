@@ -0,0 +1,77 @@
+// JSON schemas of the replies each prompt asks for, checked by
+// completeStructured() in structured-output.js
+
+const text = { type: 'string', minLength: 1 };
+const optionalText = { type: ['string', 'null'] };
+
+export const speakerSummarySchema = {
+    name: 'speaker_summary',
+    schema: {
+        type: 'object',
+        required: ['summary', 'topics'],
+        properties: {
+            summary: text,
+            topics: { type: 'array', items: text, maxItems: 3 },
+        },
+    },
+};
+
+export const meetingSummarySchema = {
+    name: 'meeting_summary',
+    schema: {
+        type: 'object',
+        required: ['overview', 'key_points', 'open_questions'],
+        properties: {
+            overview: text,
+            key_points: { type: 'array', items: text, maxItems: 10 },
+            open_questions: { type: 'array', items: text },
+        },
+    },
+};
+
+export const actionItemsSchema = {
+    name: 'action_items',
+    schema: {
+        type: 'object',
+        required: ['items'],
+        properties: {
+            items: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['type', 'text'],
+                    properties: {
+                        type: { type: 'string', enum: ['action', 'decision'] },
+                        text,
+                        owner: optionalText,
+                        due_date: {
+                            type: ['string', 'null'],
+                            pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+                        },
+                        due_text: optionalText,
+                        source_chunk_id: optionalText,
+                        same_as: optionalText,
+                    },
+                },
+            },
+        },
+    },
+};
+
+export const translationSchema = {
+    name: 'translation',
+    schema: {
+        type: 'object',
+        required: ['translation'],
+        properties: { translation: text },
+    },
+};
+
+export const chatAnswerSchema = {
+    name: 'chat_answer',
+    schema: {
+        type: 'object',
+        required: ['answer'],
+        properties: { answer: text },
+    },
+};
@@ -0,0 +1,58 @@
+/**
+ * Per-meeting batches of flushed transcript chunks, shared by the sinks that
+ * fold chunks into a meeting-wide document (summary, action items). One batch
+ * runs per meeting at a time; chunks flushed meanwhile go into the next one.
+ * A failed batch doesn't stop the ones after it.
+ * @param {Function} processBatch - async (meetingId, chunks), the chunks in
+ *   chunk_seq order. A sink retry can queue the same chunk twice; a batch
+ *   holds it once.
+ * @return {Function} (chunk) => Promise that settles once the batch holding
+ *   the chunk is processed, rejecting if that batch failed
+ */
+export function createMeetingBatches(processBatch) {
+    // meetingId -> { chunks: Map chunk_id -> chunk, done: Promise, settle }
+    const pendingBatches = new Map();
+    const draining = new Set(); // meetingIds
+
+    async function drain(meetingId) {
+        draining.add(meetingId);
+        while (pendingBatches.has(meetingId)) {
+            const batch = pendingBatches.get(meetingId);
+            pendingBatches.delete(meetingId);
+            const chunks = [...batch.chunks.values()].sort(
+                (a, b) => a.chunk_seq - b.chunk_seq
+            );
+            try {
+                await processBatch(meetingId, chunks);
+                batch.settle.resolve();
+            } catch (err) {
+                console.error(
+                    `❌ Batch of ${chunks.length} chunk(s) failed for ${meetingId}:`,
+                    err.message
+                );
+                batch.settle.reject(err);
+            }
+        }
+        draining.delete(meetingId);
+    }
+
+    function newBatch() {
+        const batch = { chunks: new Map() };
+        batch.done = new Promise((resolve, reject) => {
+            batch.settle = { resolve, reject };
+        });
+        return batch;
+    }
+
+    return function add(chunk) {
+        const meetingId = chunk.meeting_id;
+        if (!pendingBatches.has(meetingId)) {
+            pendingBatches.set(meetingId, newBatch());
+        }
+        const batch = pendingBatches.get(meetingId);
+        batch.chunks.set(chunk.chunk_id, chunk);
+
+        if (!draining.has(meetingId)) drain(meetingId);
+        return batch.done;
+    };
+}
@@ -0,0 +1,132 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { transcriptExportDir, transcriptWebhookUrl } from '../../config.js';
+import {
+    insertChatMessage,
+    insertSpeakerTranscript,
+    insertTranscriptChunk,
+} from './elasticsearch.js';
+import { summarizeMeeting, summarizeSpeaker } from './summarizer.js';
+import { extractActionItems } from './action-items.js';
+
+/*
+ * Transcript pipeline sinks.
+ * A sink is { name, retries?, onUtterance?, onChat?, onChunk?, onSummarize? };
+ * every handler may be async. Factories return null when a sink can't run
+ * with the current config.
+ */
+
+// Raw utterances → speaker_transcripts, chat → chat_messages,
+// chunks → transcript_chunks
+function esSink() {
+    return {
+        name: 'es',
+        // writes already fall back to the on-disk queue
+        retries: 0,
+        onUtterance: (u) =>
+            insertSpeakerTranscript({
+                utterance_id: u.utteranceId,
+                speaker_id: u.speakerId,
+                speaker_name: u.speakerName,
+                meeting_id: u.meetingId,
+                product_type: u.productType,
+                text: u.text,
+                timestamp: u.timestamp,
+                start_time: u.startTime,
+                end_time: u.endTime,
+                language: u.language,
+            }),
+        onChat: (m) =>
+            insertChatMessage({
+                message_id: m.messageId,
+                meeting_id: m.meetingId,
+                product_type: m.productType,
+                sender_id: m.speakerId,
+                sender_name: m.speakerName,
+                text: m.text,
+                timestamp: m.timestamp,
+                language: m.language,
+            }),
+        onChunk: (chunk) => insertTranscriptChunk(chunk),
+    };
+}
+
+// Per-speaker rolling summaries in speaker_context, the meeting-wide one in
+// meeting_summary
+function summarizerSink() {
+    return {
+        name: 'summarizer',
+        onChunk: (chunk) => summarizeMeeting(chunk),
+        onSummarize: async (summaryData) => {
+            const result = await summarizeSpeaker(summaryData);
+            console.log(
+                `📝 Speaker summary updated: ${
+                    summaryData.speakerName
+                }\n   Topics: ${result.topics.join(', ')}\n   Summary: ${
+                    result.summary
+                }`
+            );
+        },
+    };
+}
+
+// Action items and decisions from every chunk → action_items
+function actionItemsSink() {
+    return {
+        name: 'actions',
+        onChunk: (chunk) => extractActionItems(chunk),
+    };
+}
+
+// POST every pipeline event to TRANSCRIPT_WEBHOOK_URL
+function webhookSink() {
+    if (!transcriptWebhookUrl) {
+        console.warn(
+            '⚠️  TRANSCRIPT_WEBHOOK_URL not set, skipping webhook sink'
+        );
+        return null;
+    }
+
+    const post = (type, data) =>
+        axios.post(transcriptWebhookUrl, { type, data }, { timeout: 10_000 });
+
+    return {
+        name: 'webhook',
+        onUtterance: (u) => post('utterance', u),
+        onChat: (m) => post('chat', m),
+        onChunk: (chunk) => post('chunk', chunk),
+        onSummarize: (summaryData) => post('summarize', summaryData),
+    };
+}
+
+// Append every pipeline event to <exportDir>/<meetingId>.jsonl
+function fileSink() {
+    fs.mkdirSync(transcriptExportDir, { recursive: true });
+
+    const append = (meetingId, type, data) =>
+        fs.promises.appendFile(
+            path.join(
+                transcriptExportDir,
+                `${encodeURIComponent(meetingId)}.jsonl`
+            ),
+            `${JSON.stringify({ type, at: new Date().toISOString(), data })}\n`
+        );
+
+    return {
+        name: 'file',
+        onUtterance: (u) => append(u.meetingId, 'utterance', u),
+        onChat: (m) => append(m.meetingId, 'chat', m),
+        onChunk: (chunk) => append(chunk.meeting_id, 'chunk', chunk),
+        onSummarize: (summaryData) =>
+            append(summaryData.meetingId, 'summarize', summaryData),
+    };
+}
+
+export const sinkFactories = {
+    es: esSink,
+    summarizer: summarizerSink,
+    actions: actionItemsSink,
+    webhook: webhookSink,
+    file: fileSink,
+};
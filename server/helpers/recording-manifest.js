@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+
+// Each meeting's recording directory lists its finished files here
+const MANIFEST_FILE = 'recordings.json';
+
+/**
+ * Directory holding one meeting's recordings under a recording root
+ * @param {String} rootDir - e.g. AUDIO_RECORD_DIR
+ * @param {String} meetingId - Meeting UUID (may contain / and =)
+ * @return {String}
+ * @throws {Error} code 400 when the ID doesn't name a directory right under
+ *   the root, e.g. "." or ".." (which encodeURIComponent leaves alone)
+ */
+export function meetingRecordingDir(rootDir, meetingId) {
+    const root = path.resolve(rootDir);
+    const dir = path.resolve(root, encodeURIComponent(meetingId));
+    if (path.dirname(dir) !== root) {
+        const e = new Error('invalid meeting ID');
+        e.code = 400;
+        throw e;
+    }
+    return dir;
+}
+
+/**
+ * Finished recordings in a meeting directory
+ * @param {String} dir - From meetingRecordingDir()
+ * @return {Promise<Array<Object>>}
+ */
+export async function readManifest(dir) {
+    try {
+        return JSON.parse(
+            await fs.promises.readFile(path.join(dir, MANIFEST_FILE), 'utf8')
+        );
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+}
+
+/**
+ * Add finished recordings to a meeting directory's manifest
+ * @param {String} dir - From meetingRecordingDir()
+ * @param {Array<Object>} entries - Each with at least { file }
+ */
+export async function appendManifest(dir, entries) {
+    const manifest = await readManifest(dir);
+    await fs.promises.writeFile(
+        path.join(dir, MANIFEST_FILE),
+        JSON.stringify([...manifest, ...entries], null, 2)
+    );
+}
+
+/**
+ * Resolve a recording for download. Only files listed in the manifest are
+ * served, so the name can't be used to escape the directory.
+ * @param {String} dir - From meetingRecordingDir()
+ * @param {String} file - File name from the manifest
+ * @return {Promise<String|null>} Absolute path, or null if unknown
+ */
+export async function resolveRecordingFile(dir, file) {
+    const manifest = await readManifest(dir);
+    if (!manifest.some((entry) => entry.file === file)) return null;
+    const resolved = path.resolve(dir, file);
+    return path.dirname(resolved) === path.resolve(dir) ? resolved : null;
+}
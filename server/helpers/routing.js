@@ -1,5 +1,7 @@
+import crypto from 'crypto';
 import { validationResult } from 'express-validator';
 import createError from 'http-errors';
+import { adminApiKey } from '../../config.js';
 
 /**
  * sanitize - throw an error if the request did not pass validation
@@ -34,3 +36,23 @@ export function handleError(e) {
 
     return createError(status || 500, data);
 }
+
+/**
+ * Middleware that only lets requests carrying the admin key through
+ * The key is read from the x-admin-key header
+ */
+export function requireAdmin(req, res, next) {
+    if (!adminApiKey) return next(createError(404));
+
+    const expected = Buffer.from(adminApiKey);
+    const received = Buffer.from(req.header('x-admin-key') || '');
+
+    if (
+        expected.length !== received.length ||
+        !crypto.timingSafeEqual(expected, received)
+    ) {
+        return next(createError(401, 'invalid admin key'));
+    }
+
+    next();
+}
@@ -0,0 +1,174 @@
+import {
+    getMeetingAnalytics,
+    upsertMeetingAnalytics,
+} from './elasticsearch.js';
+
+// A turn shorter than this, after which the previous speaker carries on,
+// counts as an interruption of the previous speaker
+const INTERRUPTION_WINDOW_MS = 3000;
+
+// Live analytics are written to ES at most this often
+const PERSIST_INTERVAL_MS = 30_000;
+
+// meeting UUID → { productType, turns: [{ speakerId, speakerName, start, end }], lastPersisted }
+const timelines = new Map();
+
+function toIso(ts) {
+    return ts == null ? null : new Date(ts).toISOString();
+}
+
+/**
+ * Talk-time metrics from an active-speaker timeline.
+ * Zoom only reports who took over, so each turn runs until the next change;
+ * the current turn is counted up to `now`.
+ * @param {Array<Object>} turns - [{ speakerId, speakerName, start, end }]
+ * @param {Number} now - ms
+ * @return {Object} { total_talk_ms, turn_count, speakers }
+ */
+export function computeTalkAnalytics(turns, now = Date.now()) {
+    const speakers = new Map();
+    const statsFor = (turn) => {
+        if (!speakers.has(turn.speakerId)) {
+            speakers.set(turn.speakerId, {
+                speaker_id: turn.speakerId,
+                speaker_name: turn.speakerName,
+                talk_time_ms: 0,
+                share_of_voice: 0,
+                turns: 0,
+                longest_monologue_ms: 0,
+                interruptions: 0,
+                interrupted: 0,
+            });
+        }
+        return speakers.get(turn.speakerId);
+    };
+
+    let total = 0;
+    turns.forEach((turn, i) => {
+        const length = (turn.end ?? now) - turn.start;
+        const stats = statsFor(turn);
+        stats.talk_time_ms += length;
+        stats.turns++;
+        stats.longest_monologue_ms = Math.max(
+            stats.longest_monologue_ms,
+            length
+        );
+        total += length;
+
+        // A → B → A with B's turn short: B cut in and A carried on. A short
+        // turn by A itself is just a brief remark.
+        const next = turns[i + 1];
+        const after = turns[i + 2];
+        if (
+            next &&
+            after?.speakerId === turn.speakerId &&
+            next.end - next.start < INTERRUPTION_WINDOW_MS
+        ) {
+            statsFor(next).interruptions++;
+            stats.interrupted++;
+        }
+    });
+
+    for (const stats of speakers.values()) {
+        stats.share_of_voice = total
+            ? Math.round((stats.talk_time_ms / total) * 1000) / 1000
+            : 0;
+    }
+
+    return {
+        total_talk_ms: total,
+        turn_count: turns.length,
+        speakers: [...speakers.values()].sort(
+            (a, b) => b.talk_time_ms - a.talk_time_ms
+        ),
+    };
+}
+
+function buildDocument(meetingId, timeline, status, now) {
+    const { turns } = timeline;
+    return {
+        meeting_id: meetingId,
+        product_type: timeline.productType,
+        status,
+        updated_at: toIso(now),
+        start_time: toIso(turns[0]?.start),
+        end_time: status === 'ended' ? toIso(now) : null,
+        ...computeTalkAnalytics(turns, now),
+        timeline: turns.map((t) => ({
+            speaker_id: t.speakerId,
+            speaker_name: t.speakerName,
+            start: toIso(t.start),
+            end: toIso(t.end),
+        })),
+    };
+}
+
+/**
+ * Record an ACTIVE_SPEAKER_CHANGE (signaling event type 2)
+ * @param {Object} change
+ * @param {String} change.meetingId
+ * @param {String} [change.productType='meeting']
+ * @param {String} change.speakerId
+ * @param {String} change.speakerName
+ * @param {Number} change.timestamp - ms
+ */
+export function recordActiveSpeaker({
+    meetingId,
+    productType = 'meeting',
+    speakerId,
+    speakerName,
+    timestamp,
+}) {
+    let timeline = timelines.get(meetingId);
+    if (!timeline) {
+        timeline = { productType, turns: [], lastPersisted: Date.now() };
+        timelines.set(meetingId, timeline);
+    }
+
+    const current = timeline.turns[timeline.turns.length - 1];
+    if (current?.speakerId === speakerId) return;
+    if (current) current.end = timestamp;
+    timeline.turns.push({
+        speakerId,
+        speakerName,
+        start: timestamp,
+        end: null,
+    });
+
+    const now = Date.now();
+    if (now - timeline.lastPersisted >= PERSIST_INTERVAL_MS) {
+        timeline.lastPersisted = now;
+        upsertMeetingAnalytics(buildDocument(meetingId, timeline, 'live', now));
+    }
+}
+
+/**
+ * Close the last turn and store the final analytics for a meeting
+ * @param {String} meetingId
+ */
+export async function endSpeakerAnalytics(meetingId) {
+    const timeline = timelines.get(meetingId);
+    if (!timeline) return;
+    timelines.delete(meetingId);
+
+    const now = Date.now();
+    const current = timeline.turns[timeline.turns.length - 1];
+    if (current && current.end === null) current.end = now;
+    await upsertMeetingAnalytics(
+        buildDocument(meetingId, timeline, 'ended', now)
+    );
+}
+
+/**
+ * Talk-time analytics for a meeting — computed live while it is running,
+ * otherwise read from the meeting_analytics index
+ * @param {String} meetingId
+ * @return {Promise<Object|null>}
+ */
+export async function getSpeakerAnalytics(meetingId) {
+    const timeline = timelines.get(meetingId);
+    if (timeline) {
+        return buildDocument(meetingId, timeline, 'live', Date.now());
+    }
+    return getMeetingAnalytics(meetingId);
+}
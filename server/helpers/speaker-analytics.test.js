@@ -0,0 +1,89 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { computeTalkAnalytics } from './speaker-analytics.js';
+
+function turn(speakerId, start, end) {
+    return { speakerId, speakerName: speakerId.toUpperCase(), start, end };
+}
+
+function bySpeaker(analytics) {
+    return Object.fromEntries(analytics.speakers.map((s) => [s.speaker_id, s]));
+}
+
+describe('computeTalkAnalytics', () => {
+    test('sums talk time, turns and share of voice per speaker', () => {
+        const analytics = computeTalkAnalytics([
+            turn('a', 0, 10_000),
+            turn('b', 10_000, 15_000),
+            turn('a', 15_000, 20_000),
+            turn('c', 20_000, 30_000),
+        ]);
+        assert.equal(analytics.total_talk_ms, 30_000);
+        assert.equal(analytics.turn_count, 4);
+
+        const { a, b, c } = bySpeaker(analytics);
+        assert.equal(a.talk_time_ms, 15_000);
+        assert.equal(a.turns, 2);
+        assert.equal(a.longest_monologue_ms, 10_000);
+        assert.equal(a.share_of_voice, 0.5);
+        assert.equal(b.share_of_voice, 0.167);
+        assert.equal(c.share_of_voice, 0.333);
+    });
+
+    test('sorts speakers by talk time', () => {
+        const analytics = computeTalkAnalytics([
+            turn('a', 0, 1000),
+            turn('b', 1000, 5000),
+        ]);
+        assert.deepEqual(
+            analytics.speakers.map((s) => s.speaker_id),
+            ['b', 'a']
+        );
+    });
+
+    test('counts the current turn up to now', () => {
+        const analytics = computeTalkAnalytics(
+            [turn('a', 0, 2000), turn('b', 2000)],
+            7000
+        );
+        assert.equal(bySpeaker(analytics).b.talk_time_ms, 5000);
+        assert.equal(analytics.total_talk_ms, 7000);
+    });
+
+    test('counts a short turn between two of the same speaker as an interruption', () => {
+        const { a, b } = bySpeaker(
+            computeTalkAnalytics([
+                turn('a', 0, 10_000),
+                turn('b', 10_000, 11_000),
+                turn('a', 11_000, 20_000),
+            ])
+        );
+        assert.equal(b.interruptions, 1);
+        assert.equal(a.interrupted, 1);
+        assert.equal(a.interruptions, 0);
+    });
+
+    test('does not count a long turn or a hand-over as an interruption', () => {
+        const { a, b, c } = bySpeaker(
+            computeTalkAnalytics([
+                turn('a', 0, 1000),
+                turn('b', 1000, 5000),
+                turn('a', 5000, 6000),
+                turn('c', 6000, 7000),
+                turn('b', 7000, 9000),
+            ])
+        );
+        for (const stats of [a, b, c]) {
+            assert.equal(stats.interruptions, 0);
+            assert.equal(stats.interrupted, 0);
+        }
+    });
+
+    test('handles an empty timeline', () => {
+        assert.deepEqual(computeTalkAnalytics([], 1000), {
+            total_talk_ms: 0,
+            turn_count: 0,
+            speakers: [],
+        });
+    });
+});
@@ -0,0 +1,200 @@
+import { llmMaxRepairs } from '../../config.js';
+import { complete } from './inference.js';
+
+/**
+ * Structured LLM output: every prompt names a JSON schema (see
+ * llm-schemas.js), the reply is parsed and validated against it, and an
+ * invalid reply gets a follow-up prompt listing what is wrong, up to
+ * LLM_MAX_REPAIRS times. Outcomes are counted per schema for
+ * GET /admin/llm-outputs.
+ */
+
+// Per-schema counters
+const metrics = new Map();
+
+function metricsFor(name) {
+    if (!metrics.has(name)) {
+        metrics.set(name, {
+            requests: 0,
+            valid_first_try: 0,
+            repaired: 0,
+            failed: 0,
+            repair_attempts: 0,
+            inference_errors: 0,
+            last_failure: null,
+        });
+    }
+    return metrics.get(name);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against the JSON Schema subset used in llm-schemas.js:
+ * type (one or a list), properties, required, items, enum, minLength,
+ * maxLength, pattern, minItems and maxItems
+ * @param {*} value
+ * @param {Object} schema
+ * @param {String} [path='$'] - Location reported in errors
+ * @return {Array<String>} Errors, empty if the value is valid
+ */
+export function validateSchema(value, schema, path = '$') {
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+    if (
+        types.length &&
+        !types.includes(actual) &&
+        !(actual === 'integer' && types.includes('number'))
+    ) {
+        return [`${path} must be ${types.join(' or ')}, got ${actual}`];
+    }
+
+    const errors = [];
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+    }
+    if (actual === 'string') {
+        if (
+            schema.minLength != null &&
+            value.trim().length < schema.minLength
+        ) {
+            errors.push(`${path} must not be empty`);
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            errors.push(
+                `${path} must be at most ${schema.maxLength} characters`
+            );
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+    }
+    if (actual === 'array') {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) =>
+                errors.push(
+                    ...validateSchema(item, schema.items, `${path}[${i}]`)
+                )
+            );
+        }
+    }
+    if (actual === 'object') {
+        for (const field of schema.required || []) {
+            if (!(field in value)) errors.push(`${path}.${field} is required`);
+        }
+        for (const [field, fieldSchema] of Object.entries(
+            schema.properties || {}
+        )) {
+            if (field in value) {
+                errors.push(
+                    ...validateSchema(
+                        value[field],
+                        fieldSchema,
+                        `${path}.${field}`
+                    )
+                );
+            }
+        }
+    }
+    return errors;
+}
+
+// The JSON object in a reply, which may be wrapped in prose or a code fence
+function parseReply(text) {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) return { errors: ['the reply contains no JSON object'] };
+    try {
+        return { value: JSON.parse(jsonMatch[0]) };
+    } catch (error) {
+        return { errors: [`the JSON does not parse: ${error.message}`] };
+    }
+}
+
+function checkReply(text, schema) {
+    const { value, errors } = parseReply(text);
+    if (errors) return { errors };
+    const invalid = validateSchema(value, schema);
+    return invalid.length ? { errors: invalid } : { value };
+}
+
+/**
+ * Run a prompt that must answer with JSON matching a schema
+ * @param {String} prompt - Task description; the schema instructions are
+ *   appended here
+ * @param {Object} definition - { name, schema } from llm-schemas.js
+ * @param {Object} [options]
+ * @param {Number} [options.maxRepairs=LLM_MAX_REPAIRS] - Follow-up prompts
+ *   for invalid replies
+ * @return {Promise<Object>} The validated value
+ * @throws {Error} When the reply is still invalid after the last repair
+ *   (error.errors lists why), or the inference call failed
+ */
+export async function completeStructured(
+    prompt,
+    { name, schema },
+    { maxRepairs = llmMaxRepairs } = {}
+) {
+    const stats = metricsFor(name);
+    stats.requests++;
+
+    const instructions = `${prompt}
+
+Respond with a single JSON object only, no other text. It must match this JSON schema:
+${JSON.stringify(schema)}`;
+
+    let request = instructions;
+    for (let attempt = 0; ; attempt++) {
+        let reply;
+        try {
+            reply = await complete(request);
+        } catch (error) {
+            stats.inference_errors++;
+            throw error;
+        }
+
+        const { value, errors } = checkReply(reply, schema);
+        if (!errors) {
+            if (attempt === 0) stats.valid_first_try++;
+            else stats.repaired++;
+            return value;
+        }
+
+        const problems = errors.join('; ');
+        if (attempt >= maxRepairs) {
+            stats.failed++;
+            stats.last_failure = { at: new Date().toISOString(), errors };
+            console.warn(
+                `⚠️ ${name} output still invalid after ${attempt} repair(s): ${problems}`
+            );
+            const e = new Error(`Invalid ${name} output: ${errors[0]}`);
+            e.errors = errors;
+            throw e;
+        }
+
+        stats.repair_attempts++;
+        request = `${instructions}
+
+Your previous reply was:
+${reply}
+
+It is not valid: ${problems}. Reply again with the corrected JSON object only.`;
+    }
+}
+
+/**
+ * @return {Object} Counters per schema name
+ */
+export function getStructuredOutputStats() {
+    return { max_repairs: llmMaxRepairs, schemas: Object.fromEntries(metrics) };
+}
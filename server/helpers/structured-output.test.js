@@ -0,0 +1,146 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { esClient } from './elasticsearch.js';
+import {
+    completeStructured,
+    getStructuredOutputStats,
+    validateSchema,
+} from './structured-output.js';
+
+const itemSchema = {
+    type: 'object',
+    required: ['title', 'owner'],
+    properties: {
+        title: { type: 'string', minLength: 1, maxLength: 20 },
+        owner: { type: ['string', 'null'] },
+        priority: { enum: ['low', 'high'] },
+    },
+};
+
+// Answer completion requests with `replies` in turn, recording the prompts
+function scriptReplies(t, replies) {
+    const prompts = [];
+    t.mock.method(esClient.transport, 'request', async ({ body }) => {
+        prompts.push(body.input);
+        return { completion: [{ result: replies[prompts.length - 1] }] };
+    });
+    return prompts;
+}
+
+describe('validateSchema', () => {
+    test('accepts a matching value', () => {
+        assert.deepEqual(
+            validateSchema({ title: 'Ship it', owner: null }, itemSchema),
+            []
+        );
+    });
+
+    test('reports every problem with its path', () => {
+        const errors = validateSchema(
+            { title: ' ', priority: 'urgent' },
+            itemSchema
+        );
+        assert.deepEqual(errors, [
+            '$.owner is required',
+            '$.title must not be empty',
+            '$.priority must be one of low, high',
+        ]);
+    });
+
+    test('checks array items and lengths', () => {
+        const schema = {
+            type: 'array',
+            maxItems: 2,
+            items: { type: 'string', pattern: '^[a-z]+$' },
+        };
+        assert.deepEqual(validateSchema(['ok', 'No!', 'x'], schema), [
+            '$ must have at most 2 items',
+            '$[1] must match ^[a-z]+$',
+        ]);
+    });
+
+    test('accepts integers as numbers but not the other way round', () => {
+        assert.deepEqual(validateSchema(3, { type: 'number' }), []);
+        assert.deepEqual(validateSchema(1.5, { type: 'integer' }), [
+            '$ must be integer, got number',
+        ]);
+    });
+});
+
+describe('completeStructured', () => {
+    test('parses a JSON object wrapped in prose', async (t) => {
+        scriptReplies(t, [
+            'Here you go:\n```json\n{"title": "Ship it", "owner": "Ana"}\n```',
+        ]);
+        const value = await completeStructured('List it', {
+            name: 'test_prose',
+            schema: itemSchema,
+        });
+        assert.deepEqual(value, { title: 'Ship it', owner: 'Ana' });
+        assert.equal(
+            getStructuredOutputStats().schemas.test_prose.valid_first_try,
+            1
+        );
+    });
+
+    test('repairs an invalid reply with the errors in the follow-up', async (t) => {
+        const prompts = scriptReplies(t, [
+            '{"title": "Ship it"}',
+            '{"title": "Ship it", "owner": null}',
+        ]);
+        const value = await completeStructured('List it', {
+            name: 'test_repair',
+            schema: itemSchema,
+        });
+        assert.deepEqual(value, { title: 'Ship it', owner: null });
+        assert.equal(prompts.length, 2);
+        assert.match(prompts[1], /\$\.owner is required/);
+        assert.match(prompts[1], /\{"title": "Ship it"\}/);
+
+        const stats = getStructuredOutputStats().schemas.test_repair;
+        assert.equal(stats.repaired, 1);
+        assert.equal(stats.repair_attempts, 1);
+    });
+
+    test('fails with the errors after the last repair', async (t) => {
+        const prompts = scriptReplies(t, ['no JSON here', '{"title": 5}']);
+        await assert.rejects(
+            completeStructured(
+                'List it',
+                { name: 'test_failed', schema: itemSchema },
+                { maxRepairs: 1 }
+            ),
+            (err) => {
+                assert.match(err.message, /Invalid test_failed output/);
+                assert.deepEqual(err.errors, [
+                    '$.owner is required',
+                    '$.title must be string, got integer',
+                ]);
+                return true;
+            }
+        );
+        assert.equal(prompts.length, 2);
+        assert.match(prompts[1], /the reply contains no JSON object/);
+
+        const stats = getStructuredOutputStats().schemas.test_failed;
+        assert.equal(stats.requests, 1);
+        assert.equal(stats.failed, 1);
+        assert.equal(stats.last_failure.errors.length, 2);
+    });
+
+    test('passes inference errors through without repairing', async (t) => {
+        t.mock.method(esClient.transport, 'request', async () => {
+            throw new Error('connection refused');
+        });
+        await assert.rejects(
+            completeStructured('List it', {
+                name: 'test_inference_error',
+                schema: itemSchema,
+            }),
+            /connection refused/
+        );
+        const stats = getStructuredOutputStats().schemas.test_inference_error;
+        assert.equal(stats.inference_errors, 1);
+        assert.equal(stats.repair_attempts, 0);
+    });
+});
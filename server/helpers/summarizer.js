@@ -1,40 +1,88 @@
 import {
-    esClient,
+    getMeetingSummary,
     getSpeakerContext,
+    insertSpeakerContextRevision,
+    upsertMeetingSummary,
     upsertSpeakerContext,
 } from './elasticsearch.js';
+import { dominantLanguage, languageName } from './languages.js';
+import { completeStructured } from './structured-output.js';
+import { meetingSummarySchema, speakerSummarySchema } from './llm-schemas.js';
+import { createMeetingBatches } from './meeting-batches.js';
+
+// Summary rounds of a speaker run one after the other, so each one builds on
+// the previous revision
+const speakerUpdates = new Map(); // `${meetingId}-${speakerId}` -> Promise
 
 /**
  * Summarize a speaker's recent statements via ES Anthropic inference endpoint.
  * Fetches prior summary from speaker_context, merges with new text, and upserts.
+ * Every round is also kept as a numbered revision in speaker_context_history.
+ * The summary is written in the language the speaker used; readers get it
+ * translated on request (see translate() in translation.js).
  */
-export async function summarizeSpeaker({
+export function summarizeSpeaker(summaryData) {
+    const key = `${summaryData.meetingId}-${summaryData.speakerId}`;
+    const run = (speakerUpdates.get(key) || Promise.resolve())
+        // A failed round is reported to its own caller
+        .catch(() => {})
+        .then(() => updateSpeakerSummary(summaryData));
+    speakerUpdates.set(key, run);
+    run.finally(() => {
+        if (speakerUpdates.get(key) === run) speakerUpdates.delete(key);
+    }).catch(() => {});
+    return run;
+}
+
+async function updateSpeakerSummary({
     meetingId,
     speakerId,
     speakerName,
+    revision: bufferRevision,
     recentText,
     segmentCount,
+    language,
+    utteranceCount,
+    startTime,
+    endTime,
 }) {
     // Fetch prior summary if it exists
     const prior = await getSpeakerContext(speakerId, meetingId);
     const priorSummary = prior?.context_summary || '';
 
+    const writeIn = language
+        ? languageName(language)
+        : 'the language the speaker used';
+
     const prompt = `You are summarizing what ${speakerName} has said in a meeting.
 
 ${
     priorSummary ? `Previous summary of this speaker:\n${priorSummary}\n\n` : ''
-}New statements from ${speakerName}:
+}New statements from ${speakerName} (lines starting with [chat] were typed in the meeting chat rather than spoken):
 ${recentText}
 
-Provide a concise updated summary (1-2 sentences max) of everything ${speakerName} has discussed. Focus on key points and positions. Also list 1-3 topic keywords. Respond in JSON: { "summary": "...", "topics": ["..."] }`;
+Provide a concise updated summary (1-2 sentences max) of everything ${speakerName} has discussed in "summary". Focus on key points and positions. Also list 1-3 topic keywords in "topics". Write the summary and topics in ${writeIn}.`;
 
-    const result = await esClient.transport.request({
-        method: 'POST',
-        path: '/_inference/completion/anthropic_completion',
-        body: { input: prompt },
-    });
+    const parsed = await completeStructured(prompt, speakerSummarySchema);
+    // The buffer numbers rounds; the stored revision only matters when the
+    // buffer started over without a checkpoint
+    const revision = Math.max(bufferRevision ?? 0, (prior?.revision ?? 0) + 1);
 
-    const parsed = parseClaudeResponse(result);
+    // History first: a retry after a failed upsert rewrites the same revision
+    await insertSpeakerContextRevision({
+        speaker_id: speakerId,
+        speaker_name: speakerName,
+        meeting_id: meetingId,
+        revision,
+        context_summary: parsed.summary,
+        topics: parsed.topics,
+        language,
+        created_at: new Date().toISOString(),
+        segment_count: segmentCount,
+        utterance_count: utteranceCount,
+        from_time: startTime,
+        to_time: endTime,
+    });
 
     // Upsert into speaker_context index
     await upsertSpeakerContext(
@@ -43,33 +91,73 @@ Provide a concise updated summary (1-2 sentences max) of everything ${speakerNam
         meetingId,
         parsed.summary,
         parsed.topics,
-        segmentCount
+        segmentCount,
+        language,
+        revision
     );
 
     return parsed;
 }
 
-function parseClaudeResponse(result) {
-    try {
-        const text =
-            result.completion?.[0]?.result ||
-            result.completion?.result ||
-            (typeof result.completion === 'string' ? result.completion : '');
-
-        // Try to extract JSON from the response
-        const jsonMatch = text.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            return {
-                summary: parsed.summary || text,
-                topics: Array.isArray(parsed.topics) ? parsed.topics : [],
-            };
-        }
-
-        // Fallback: use the raw text as summary
-        return { summary: text, topics: [] };
-    } catch (error) {
-        console.error('⚠️ Failed to parse Claude response:', error.message);
-        return { summary: 'Summary generation failed', topics: [] };
-    }
+/**
+ * Fold a flushed chunk into the meeting's rolling summary (overview, key
+ * discussion points, open questions) in meeting_summary. Chunks already
+ * covered by the stored summary, e.g. re-emitted after a restart, are
+ * skipped.
+ * @param {Object} chunk - A transcript_chunks document
+ * @return {Promise<void>} Resolves once the update that includes the chunk
+ *   is stored
+ */
+export const summarizeMeeting = createMeetingBatches(updateMeetingSummary);
+
+async function updateMeetingSummary(meetingId, chunks) {
+    const prior = await getMeetingSummary(meetingId);
+    const lastSeq = prior?.last_chunk_seq ?? 0;
+    const fresh = chunks.filter((c) => c.chunk_seq > lastSeq);
+    if (fresh.length === 0) return;
+
+    const language = dominantLanguage(fresh) ?? prior?.language ?? null;
+    const writeIn = language
+        ? languageName(language)
+        : 'the language of the transcript';
+    const current = prior
+        ? JSON.stringify({
+              overview: prior.overview,
+              key_points: prior.key_points,
+              open_questions: prior.open_questions,
+          })
+        : '';
+    const priorSummary = current ? `Current summary:\n${current}\n\n` : '';
+    const transcript = fresh.map((c) => c.text).join('\n\n');
+
+    const prompt = `You are keeping a running summary of a meeting for people who join late or miss it.
+
+${priorSummary}New transcript excerpts, in order (each may repeat the last sentence or two of the previous one):
+${transcript}
+
+Update the summary to cover the whole meeting so far. "overview" is 2-4 sentences on what the meeting is about and where it stands. "key_points" are the main discussion points, decisions and positions (at most 10, merge related ones). "open_questions" are questions or issues raised but not resolved yet; drop ones the new excerpts settle. Write in ${writeIn}.`;
+
+    const sections = await completeStructured(prompt, meetingSummarySchema);
+    const times = fresh.flatMap((c) => [c.start_time, c.end_time]);
+    if (prior) times.push(prior.start_time, prior.end_time);
+    const sorted = times.filter(Boolean).sort();
+    const last = fresh[fresh.length - 1];
+
+    await upsertMeetingSummary({
+        meeting_id: meetingId,
+        product_type: last.product_type,
+        overview: sections.overview,
+        key_points: sections.key_points,
+        open_questions: sections.open_questions,
+        language,
+        chunk_count: (prior?.chunk_count ?? 0) + fresh.length,
+        last_chunk_seq: last.chunk_seq,
+        last_chunk_id: last.chunk_id,
+        start_time: sorted[0],
+        end_time: sorted[sorted.length - 1],
+        updated_at: new Date().toISOString(),
+    });
+    console.log(
+        `📋 Meeting summary updated: ${meetingId} (through chunk ${last.chunk_seq})`
+    );
 }
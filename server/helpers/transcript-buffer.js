@@ -1,54 +1,205 @@
 import { EventEmitter } from 'events';
+import { dominantLanguage } from './languages.js';
+import { resolveBufferPolicy } from './buffer-policies.js';
+import { formatChunkText, packChunks, splitSentences } from './chunker.js';
+import {
+    deleteCheckpoint,
+    loadCheckpoint,
+    saveCheckpoint,
+} from './buffer-checkpoint.js';
 
-const SUMMARY_INTERVAL_MS = 10_000; // summarize every 10s
-const CHUNK_INTERVAL_MS = 30_000; // flush chunk every 30s
-const CHUNK_WORD_THRESHOLD = 500; // or when 500+ words accumulated
-const SPEAKER_IDLE_MS = 10_000; // summarize when speaker idle 10s
+const INTERIM_STALE_MS = 15_000; // keep an interim without a final this long
+const CHECKPOINT_DELAY_MS = 1000; // batch state changes into one checkpoint write
 
 export class TranscriptBuffer extends EventEmitter {
-    constructor(meetingId) {
+    /**
+     * @param {String} meetingId
+     * @param {Object} [options]
+     * @param {String} [options.productType='meeting']
+     * @param {Object} [options.policy] - summaryIntervalMs, chunkIntervalMs,
+     *   chunkTargetTokens, chunkOverlapTokens and speakerIdleMs (see
+     *   buffer-policies.js); resolved for the meeting when omitted
+     */
+    constructor(meetingId, { productType = 'meeting', policy } = {}) {
         super();
         this.meetingId = meetingId;
+        this.productType = productType;
         this.utterances = []; // raw buffer
+        this.interims = new Map(); // speakerId -> latest interim utterance
         this.speakerLastSummarized = new Map(); // speakerId -> index
+        this.speakerUtteranceCounts = new Map(); // speakerId -> total appended
+        this.speakerRevisions = new Map(); // speakerId -> summary rounds emitted
         this.speakerIdleTimers = new Map(); // speakerId -> timerId
         this.lastChunkFlush = Date.now();
-        this.wordCount = 0;
+        this.pendingSentences = []; // spoken sentences not chunked yet
+        this.pendingTokens = 0;
+        this.chunkOverlap = []; // tail of the last chunk, repeated in the next
         this.chunkSeq = 0;
+        this.prevChunkId = null;
+        this.checkpointTimer = null;
+        this.checkpointing = Promise.resolve(); // serializes checkpoint writes
+        this.destroyed = false;
+
+        this.setPolicy(policy || resolveBufferPolicy(meetingId, productType));
+    }
+
+    /**
+     * Switch to a new policy; the timers restart with the new intervals
+     * @param {Object} policy - Complete policy
+     */
+    setPolicy(policy) {
+        this.policy = policy;
+        clearInterval(this.summaryTimer);
+        clearInterval(this.chunkTimer);
 
         // Periodic summary timer
         this.summaryTimer = setInterval(
             () => this._triggerSummaries(),
-            SUMMARY_INTERVAL_MS
+            policy.summaryIntervalMs
         );
 
         // Periodic chunk timer
         this.chunkTimer = setInterval(
             () => this._triggerChunkFlush(),
-            CHUNK_INTERVAL_MS
+            policy.chunkIntervalMs
         );
+
+        // A smaller budget may already be reached
+        if (this.pendingTokens >= policy.chunkTargetTokens) {
+            this._triggerChunkFlush();
+        }
     }
 
-    append({ speakerId, speakerName, text, timestamp }) {
-        this.utterances.push({ speakerId, speakerName, text, timestamp });
-        this.wordCount += text.split(/\s+/).length;
+    /**
+     * @param {Object} utterance
+     * @param {String} utterance.timestamp - When speech started (ISO)
+     * @param {String} [utterance.endTime] - When speech ended (ISO)
+     * @param {String} [utterance.language] - Language code, if known
+     * @param {String} [utterance.source='speech'] - 'speech' or 'chat'. Chat
+     *   messages feed speaker summaries but are indexed on their own, so they
+     *   are left out of chunks.
+     */
+    append({
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        endTime,
+        language = null,
+        source = 'speech',
+    }) {
+        this.utterances.push({
+            speakerId,
+            speakerName,
+            text,
+            timestamp,
+            endTime: endTime || timestamp,
+            language,
+            source,
+        });
+        this.speakerUtteranceCounts.set(
+            speakerId,
+            (this.speakerUtteranceCounts.get(speakerId) ?? 0) + 1
+        );
+        if (source === 'speech') {
+            // A final result replaces the speaker's pending interim
+            this.interims.delete(speakerId);
+            const sentences = splitSentences({
+                speakerId,
+                speakerName,
+                text,
+                timestamp,
+                endTime: endTime || timestamp,
+                language,
+                receivedAt: Date.now(),
+            });
+            this.pendingSentences.push(...sentences);
+            for (const s of sentences) this.pendingTokens += s.tokens;
+        }
 
         // Reset idle timer for this speaker
         if (this.speakerIdleTimers.has(speakerId)) {
             clearTimeout(this.speakerIdleTimers.get(speakerId));
         }
-        this.speakerIdleTimers.set(
-            speakerId,
-            setTimeout(
-                () => this._triggerSpeakerSummary(speakerId),
-                SPEAKER_IDLE_MS
-            )
-        );
+        if (!this.destroyed) {
+            this.speakerIdleTimers.set(
+                speakerId,
+                setTimeout(
+                    () => this._triggerSpeakerSummary(speakerId),
+                    this.policy.speakerIdleMs
+                )
+            );
+        }
 
-        // Check word threshold for chunk flush
-        if (this.wordCount >= CHUNK_WORD_THRESHOLD) {
+        // Enough for a full chunk
+        if (this.pendingTokens >= this.policy.chunkTargetTokens) {
             this._triggerChunkFlush();
         }
+        this._scheduleCheckpoint();
+    }
+
+    /**
+     * Hold an interim result until its final arrives. Each speaker has at most
+     * one segment in flight, so a newer interim replaces the previous one.
+     * @param {Object} utterance - Same fields as append(), plus
+     * @param {Number|String} [utterance.sourceTimestamp] - RTMS event
+     *   timestamp, passed on with 'interimPromoted'
+     */
+    setInterim({
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        endTime,
+        language,
+        sourceTimestamp,
+    }) {
+        this.interims.set(speakerId, {
+            speakerId,
+            speakerName,
+            text,
+            timestamp,
+            endTime,
+            language,
+            sourceTimestamp,
+            receivedAt: Date.now(),
+        });
+        this._scheduleCheckpoint();
+    }
+
+    /**
+     * Keep interims whose final never arrived (dropped socket, meeting ended)
+     * as if they were final, and emit 'interimPromoted' for each
+     * @param {Number} maxAgeMs - Only promote interims older than this
+     */
+    _promoteInterims(maxAgeMs) {
+        const now = Date.now();
+        for (const interim of [...this.interims.values()]) {
+            if (now - interim.receivedAt < maxAgeMs) continue;
+            const {
+                speakerId,
+                speakerName,
+                text,
+                timestamp,
+                endTime,
+                language,
+            } = interim;
+            const utterance = {
+                speakerId,
+                speakerName,
+                text,
+                timestamp,
+                endTime,
+                language,
+            };
+            this.append(utterance);
+            this.emit('interimPromoted', {
+                meetingId: this.meetingId,
+                productType: this.productType,
+                ...utterance,
+                sourceTimestamp: interim.sourceTimestamp,
+            });
+        }
     }
 
     // --- Trigger A: Speaker Summaries ---
@@ -82,23 +233,37 @@ export class TranscriptBuffer extends EventEmitter {
 
         if (unsummarized.length === 0) return;
 
-        const recentText = unsummarized.map((u) => u.text).join(' ');
+        const recentText = unsummarized
+            .map((u) => (u.source === 'chat' ? `[chat] ${u.text}` : u.text))
+            .join(' ');
 
-        // Count total utterances for this speaker
-        const totalCount = this.utterances.filter(
-            (u) => u.speakerId === speakerId
-        ).length;
+        // Numbered here rather than from the stored summary, whose latest
+        // write may still be queued
+        const revision = (this.speakerRevisions.get(speakerId) ?? 0) + 1;
+        this.speakerRevisions.set(speakerId, revision);
 
         this.emit('summarize', {
             meetingId: this.meetingId,
             speakerId,
             speakerName,
+            revision,
             recentText,
-            segmentCount: totalCount,
+            segmentCount: this.speakerUtteranceCounts.get(speakerId),
+            language: dominantLanguage(unsummarized),
+            // The utterances this summary round covers
+            utteranceCount: unsummarized.length,
+            startTime: unsummarized
+                .map((u) => u.timestamp)
+                .reduce((a, b) => (b < a ? b : a)),
+            endTime: unsummarized
+                .map((u) => u.endTime)
+                .reduce((a, b) => (b > a ? b : a)),
         });
 
         // Mark as summarized up to current end
         this.speakerLastSummarized.set(speakerId, this.utterances.length - 1);
+        this._trimSummarized();
+        this._scheduleCheckpoint();
 
         // Clear idle timer
         if (this.speakerIdleTimers.has(speakerId)) {
@@ -107,76 +272,265 @@ export class TranscriptBuffer extends EventEmitter {
         }
     }
 
+    /**
+     * Drop the leading utterances that their speakers' summaries already
+     * cover. Chunks are packed from pendingSentences, so this is the only
+     * place utterances leave the buffer.
+     */
+    _trimSummarized() {
+        let covered = 0;
+        while (
+            covered < this.utterances.length &&
+            (this.speakerLastSummarized.get(
+                this.utterances[covered].speakerId
+            ) ?? -1) >= covered
+        ) {
+            covered++;
+        }
+        if (covered === 0) return;
+
+        this.utterances = this.utterances.slice(covered);
+        for (const [speakerId, lastIdx] of this.speakerLastSummarized) {
+            if (lastIdx < covered) this.speakerLastSummarized.delete(speakerId);
+            else this.speakerLastSummarized.set(speakerId, lastIdx - covered);
+        }
+    }
+
     // --- Trigger B: Content Chunk ---
 
-    _triggerChunkFlush() {
-        if (this.utterances.length === 0) return;
-
-        const speakerIds = [
-            ...new Set(this.utterances.map((u) => u.speakerId)),
-        ];
-        const speakerNames = [
-            ...new Set(this.utterances.map((u) => u.speakerName)),
-        ];
-        const text = this.utterances
-            .map((u) => `${u.speakerName}: ${u.text}`)
-            .join('\n');
-        const startTime = this.utterances[0].timestamp;
-        const endTime = this.utterances[this.utterances.length - 1].timestamp;
+    /**
+     * Emit every full chunk of pending sentences. The last, partial chunk
+     * waits for more speech unless forced or its oldest sentence has already
+     * waited a full chunk interval.
+     * @param {Boolean} [force=false]
+     */
+    _triggerChunkFlush(force = false) {
+        this._promoteInterims(INTERIM_STALE_MS);
+        if (this.pendingSentences.length === 0) return;
+
+        const oldest = this.pendingSentences[0];
+        const { chunks, remainder, overlap } = packChunks(
+            this.pendingSentences,
+            {
+                targetTokens: this.policy.chunkTargetTokens,
+                overlapTokens: this.policy.chunkOverlapTokens,
+                overlap: this.chunkOverlap,
+                flushAll:
+                    force ||
+                    (oldest &&
+                        Date.now() - oldest.receivedAt >=
+                            this.policy.chunkIntervalMs),
+            }
+        );
+        for (const chunk of chunks) this._emitChunk(chunk);
+
+        this.pendingSentences = remainder;
+        this.pendingTokens = remainder.reduce((sum, s) => sum + s.tokens, 0);
+        this.chunkOverlap = overlap;
+        this.lastChunkFlush = Date.now();
+        this._scheduleCheckpoint();
+    }
+
+    _emitChunk({ units, overlapCount }) {
+        const speakerIds = [...new Set(units.map((u) => u.speakerId))];
+        const speakerNames = [...new Set(units.map((u) => u.speakerName))];
+        // Finals can arrive out of order, so take the extremes (ISO strings
+        // sort chronologically)
+        const startTime = units
+            .map((u) => u.timestamp)
+            .reduce((a, b) => (b < a ? b : a));
+        const endTime = units
+            .map((u) => u.endTime)
+            .reduce((a, b) => (b > a ? b : a));
+        const tokenCount = units.reduce((sum, u) => sum + u.tokens, 0);
+        const overlapTokens = units
+            .slice(0, overlapCount)
+            .reduce((sum, u) => sum + u.tokens, 0);
 
         this.chunkSeq++;
         const chunkId = `${this.meetingId}-chunk-${this.chunkSeq}`;
 
         console.log(
-            `📤 Flushing chunk ${chunkId} (${this.utterances.length} utterances, ${this.wordCount} words)`
+            `📤 Flushing chunk ${chunkId} (${units.length} sentences, ~${tokenCount} tokens, ${overlapTokens} overlap)`
         );
 
         this.emit('chunk', {
             meeting_id: this.meetingId,
-            text,
+            product_type: this.productType,
+            text: formatChunkText(units),
             speaker_ids: speakerIds,
             speaker_names: speakerNames,
             start_time: startTime,
             end_time: endTime,
             chunk_id: chunkId,
+            chunk_seq: this.chunkSeq,
+            prev_chunk_id: this.prevChunkId,
+            token_count: tokenCount,
+            overlap_tokens: overlapTokens,
+            language: dominantLanguage(units),
         });
+        this.prevChunkId = chunkId;
+    }
 
-        // Clear buffer
-        this.utterances = [];
-        this.wordCount = 0;
-        this.lastChunkFlush = Date.now();
-        // Reset summarization indices since buffer was cleared
-        this.speakerLastSummarized.clear();
+    // --- Checkpoints ---
+
+    /**
+     * Everything needed to pick the meeting up in another process
+     * @return {Object} JSON-serializable state, see restore()
+     */
+    snapshot() {
+        return {
+            utterances: this.utterances,
+            interims: [...this.interims.values()],
+            speakerLastSummarized: [...this.speakerLastSummarized],
+            speakerUtteranceCounts: [...this.speakerUtteranceCounts],
+            speakerRevisions: [...this.speakerRevisions],
+            lastChunkFlush: this.lastChunkFlush,
+            pendingSentences: this.pendingSentences,
+            chunkOverlap: this.chunkOverlap,
+            chunkSeq: this.chunkSeq,
+            prevChunkId: this.prevChunkId,
+        };
+    }
+
+    /**
+     * Continue from a snapshot(). Chunk numbering resumes after the last
+     * checkpointed chunk; a chunk emitted after that checkpoint is emitted
+     * again with the same ID and text, so its indexed copy is overwritten
+     * rather than duplicated.
+     * @param {Object} state
+     */
+    restore(state) {
+        this.utterances = state.utterances;
+        this.interims = new Map(state.interims.map((u) => [u.speakerId, u]));
+        this.speakerLastSummarized = new Map(state.speakerLastSummarized);
+        this.speakerUtteranceCounts = new Map(
+            state.speakerUtteranceCounts ?? []
+        );
+        this.speakerRevisions = new Map(state.speakerRevisions ?? []);
+        this.lastChunkFlush = state.lastChunkFlush;
+        this.pendingSentences = state.pendingSentences;
+        this.pendingTokens = state.pendingSentences.reduce(
+            (sum, s) => sum + s.tokens,
+            0
+        );
+        this.chunkOverlap = state.chunkOverlap;
+        this.chunkSeq = state.chunkSeq;
+        this.prevChunkId = state.prevChunkId;
+    }
+
+    _scheduleCheckpoint() {
+        if (this.destroyed || this.checkpointTimer) return;
+        this.checkpointTimer = setTimeout(() => {
+            this.checkpointTimer = null;
+            this._checkpoint(() =>
+                saveCheckpoint(this.meetingId, {
+                    productType: this.productType,
+                    state: this.snapshot(),
+                })
+            );
+        }, CHECKPOINT_DELAY_MS);
     }
 
+    _checkpoint(write) {
+        this.checkpointing = this.checkpointing
+            .then(write)
+            .catch((err) =>
+                console.error(
+                    `❌ Buffer checkpoint failed for ${this.meetingId}:`,
+                    err.message
+                )
+            );
+        return this.checkpointing;
+    }
+
+    /**
+     * Flush everything and remove the checkpoint
+     * @return {Promise<void>} Resolves once the checkpoint is gone
+     */
     destroy() {
         clearInterval(this.summaryTimer);
         clearInterval(this.chunkTimer);
+        // Flush remaining data
+        this._promoteInterims(0);
+        this._triggerSummaries();
+        this._triggerChunkFlush(true);
+        this.removeAllListeners();
+
+        // Only now: promoted interims arm idle timers of their own
+        this.destroyed = true;
         for (const timerId of this.speakerIdleTimers.values()) {
             clearTimeout(timerId);
         }
         this.speakerIdleTimers.clear();
-        // Flush remaining data
-        this._triggerSummaries();
-        this._triggerChunkFlush();
-        this.removeAllListeners();
+        clearTimeout(this.checkpointTimer);
+        return this._checkpoint(() => deleteCheckpoint(this.meetingId));
     }
 }
 
 // Registry of active buffers (one per meeting)
 const buffers = new Map();
 
-export function getOrCreateBuffer(meetingId) {
+/**
+ * Buffer for a meeting. A new buffer continues from the meeting's checkpoint
+ * if a previous process left one behind.
+ * @param {String} meetingId
+ * @param {Object} [options] - See TranscriptBuffer
+ * @return {TranscriptBuffer}
+ */
+export function getOrCreateBuffer(meetingId, options = {}) {
     if (!buffers.has(meetingId)) {
-        buffers.set(meetingId, new TranscriptBuffer(meetingId));
+        const checkpoint = loadCheckpoint(meetingId);
+        const buffer = new TranscriptBuffer(meetingId, {
+            ...options,
+            productType: checkpoint?.productType ?? options.productType,
+        });
+        if (checkpoint) {
+            buffer.restore(checkpoint.state);
+            console.log(
+                `♻️ Restored buffer for ${meetingId} from ${checkpoint.savedAt} (chunk ${buffer.chunkSeq}, ${buffer.pendingSentences.length} pending sentences)`
+            );
+        }
+        buffers.set(meetingId, buffer);
     }
     return buffers.get(meetingId);
 }
 
-export function destroyBuffer(meetingId) {
+/**
+ * Re-resolve the policy of every active buffer, after policies changed
+ * @return {Array<Object>} Active buffers, see listBuffers()
+ */
+export function refreshBufferPolicies() {
+    for (const buffer of buffers.values()) {
+        buffer.setPolicy(
+            resolveBufferPolicy(buffer.meetingId, buffer.productType)
+        );
+    }
+    return listBuffers();
+}
+
+/**
+ * @return {Array<Object>} { meeting_id, product_type, policy, utterances,
+ *   pending_tokens } for every active buffer
+ */
+export function listBuffers() {
+    return [...buffers.values()].map((buffer) => ({
+        meeting_id: buffer.meetingId,
+        product_type: buffer.productType,
+        policy: buffer.policy,
+        utterances: buffer.utterances.length,
+        pending_tokens: buffer.pendingTokens,
+    }));
+}
+
+/**
+ * @param {String} meetingId
+ * @return {Promise<void>} Resolves once the buffer's checkpoint is removed
+ */
+export async function destroyBuffer(meetingId) {
     const buffer = buffers.get(meetingId);
     if (buffer) {
-        buffer.destroy();
         buffers.delete(meetingId);
+        await buffer.destroy();
     }
 }
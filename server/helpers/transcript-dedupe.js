@@ -0,0 +1,48 @@
+import crypto from 'crypto';
+
+const SEEN_TTL_MS = 10 * 60_000; // remember transcript events for 10 minutes
+const MAX_SEEN = 10_000; // hard cap across all meetings
+
+// utterance ID → first-seen time (ms). Map iteration order is insertion
+// order, so the oldest entries are always at the front.
+const seen = new Map();
+
+/**
+ * Deterministic ID for a transcript utterance.
+ * Uses the RTMS event timestamp (not receive time) so redelivered events
+ * produce the same ID.
+ * @param {Object} utterance
+ * @param {String} utterance.meetingId
+ * @param {String} utterance.speakerId
+ * @param {Number|String} utterance.timestamp - RTMS event timestamp
+ * @param {String} utterance.text
+ * @return {String} hex digest
+ */
+export function utteranceId({ meetingId, speakerId, timestamp, text }) {
+    return crypto
+        .createHash('sha256')
+        .update(`${meetingId}\n${speakerId}\n${timestamp}\n${text}`)
+        .digest('hex')
+        .slice(0, 40);
+}
+
+function prune(now) {
+    for (const [id, seenAt] of seen) {
+        if (now - seenAt < SEEN_TTL_MS && seen.size <= MAX_SEEN) break;
+        seen.delete(id);
+    }
+}
+
+/**
+ * Record a transcript utterance, reporting whether it was already seen
+ * @param {String} id - Utterance ID from utteranceId()
+ * @return {Boolean} true if this utterance is a duplicate
+ */
+export function isDuplicateUtterance(id) {
+    const now = Date.now();
+    prune(now);
+
+    if (seen.has(id)) return true;
+    seen.set(id, now);
+    return false;
+}
@@ -0,0 +1,51 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { isDuplicateUtterance, utteranceId } from './transcript-dedupe.js';
+
+const utterance = {
+    meetingId: 'meeting-1',
+    speakerId: '16778240',
+    timestamp: 1_700_000_000_000,
+    text: 'Can everyone hear me?',
+};
+
+describe('utteranceId', () => {
+    test('is a stable 40 character hex digest', () => {
+        const id = utteranceId(utterance);
+        assert.match(id, /^[0-9a-f]{40}$/);
+        assert.equal(utteranceId({ ...utterance }), id);
+    });
+
+    test('differs when any field differs', () => {
+        const id = utteranceId(utterance);
+        for (const field of Object.keys(utterance)) {
+            assert.notEqual(
+                utteranceId({ ...utterance, [field]: 'other' }),
+                id,
+                field
+            );
+        }
+    });
+});
+
+describe('isDuplicateUtterance', () => {
+    test('reports the second sighting of an ID', () => {
+        const id = utteranceId({ ...utterance, text: 'first sighting' });
+        assert.equal(isDuplicateUtterance(id), false);
+        assert.equal(isDuplicateUtterance(id), true);
+    });
+
+    test('forgets IDs after ten minutes', (t) => {
+        let now = Date.now();
+        t.mock.method(Date, 'now', () => now);
+
+        const id = utteranceId({ ...utterance, text: 'forgotten' });
+        assert.equal(isDuplicateUtterance(id), false);
+
+        now += 9 * 60_000;
+        assert.equal(isDuplicateUtterance(id), true);
+
+        now += 60_000;
+        assert.equal(isDuplicateUtterance(id), false);
+    });
+});
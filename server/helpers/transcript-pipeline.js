@@ -0,0 +1,299 @@
+import debug from 'debug';
+import { appName, transcriptSinks } from '../../config.js';
+import { sinkFactories } from './pipeline-sinks.js';
+import { getOrCreateBuffer, destroyBuffer } from './transcript-buffer.js';
+import { listCheckpoints } from './buffer-checkpoint.js';
+import { getActiveMeetingUuids } from './elasticsearch.js';
+import { isDuplicateUtterance, utteranceId } from './transcript-dedupe.js';
+import { detectLanguage, languageCode } from './languages.js';
+
+const dbg = debug(`${appName}:pipeline`);
+
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_MS = 500;
+
+// Active sinks, built lazily from TRANSCRIPT_SINKS on first use
+let sinks = null;
+
+// Meetings whose buffer events are already routed to the sinks
+const wiredMeetings = new Set();
+
+function loadSinks() {
+    if (sinks) return sinks;
+    sinks = [];
+    for (const name of transcriptSinks) {
+        const factory = sinkFactories[name];
+        if (!factory) {
+            console.warn(`⚠️  Unknown transcript sink "${name}", skipping`);
+            continue;
+        }
+        const sink = factory();
+        if (sink) sinks.push(sink);
+    }
+    console.log(
+        `✅ Transcript pipeline sinks: ${
+            sinks.map((s) => s.name).join(', ') || '(none)'
+        }`
+    );
+    return sinks;
+}
+
+/**
+ * Register an additional sink at runtime (in addition to TRANSCRIPT_SINKS)
+ * @param {Object} sink - { name, retries?, onUtterance?, onChat?, onChunk?, onSummarize? }
+ */
+export function registerSink(sink) {
+    loadSinks().push(sink);
+}
+
+/**
+ * Run one sink handler, retrying with backoff. Failures are logged and never
+ * reach the other sinks or the ingress.
+ */
+async function runSink(sink, hook, data) {
+    const retries = sink.retries ?? DEFAULT_RETRIES;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            await sink[hook](data);
+            return;
+        } catch (err) {
+            if (attempt >= retries) {
+                console.error(
+                    `❌ Sink "${sink.name}" ${hook} failed after ${
+                        attempt + 1
+                    } attempt(s):`,
+                    err.message
+                );
+                return;
+            }
+            dbg(`Sink "${sink.name}" ${hook} failed, retrying: ${err.message}`);
+            await new Promise((resolve) =>
+                setTimeout(resolve, RETRY_BASE_MS * 2 ** attempt)
+            );
+        }
+    }
+}
+
+function dispatch(hook, data) {
+    return Promise.all(
+        loadSinks()
+            .filter((sink) => typeof sink[hook] === 'function')
+            .map((sink) => runSink(sink, hook, data))
+    );
+}
+
+function wireBufferEvents(meetingId, buffer) {
+    if (wiredMeetings.has(meetingId)) return;
+    wiredMeetings.add(meetingId);
+
+    buffer.on('chunk', (chunkData) => dispatch('onChunk', chunkData));
+    buffer.on('summarize', (summaryData) =>
+        dispatch('onSummarize', summaryData)
+    );
+    // An interim whose final never came is indexed as the utterance, under
+    // the ID its final would get, so a final with the same text arriving
+    // late is dropped as a duplicate
+    buffer.on('interimPromoted', (u) => {
+        const id = transcriptId(u);
+        if (id) isDuplicateUtterance(id);
+        dispatch('onUtterance', {
+            utteranceId: id,
+            meetingId: u.meetingId,
+            productType: u.productType,
+            speakerId: u.speakerId,
+            speakerName: u.speakerName,
+            text: u.text,
+            timestamp: u.timestamp,
+            startTime: u.timestamp,
+            endTime: u.endTime,
+            language: u.language,
+        });
+    });
+}
+
+// Zoom redelivers and sockets reconnect, so IDs come from the RTMS event
+// timestamp. Without one we can't tell a repeat from a new sentence.
+function transcriptId({ meetingId, speakerId, sourceTimestamp, text }) {
+    if (sourceTimestamp == null) return undefined;
+    return utteranceId({
+        meetingId,
+        speakerId,
+        timestamp: sourceTimestamp,
+        text,
+    });
+}
+
+/**
+ * Feed one transcript utterance into the pipeline
+ * @param {Object} utterance
+ * @param {String} utterance.meetingId
+ * @param {String} [utterance.productType='meeting']
+ * @param {String} utterance.speakerId
+ * @param {String} utterance.speakerName
+ * @param {String} utterance.text
+ * @param {Number|String} [utterance.sourceTimestamp] - RTMS event timestamp,
+ *   used to drop redelivered events
+ * @param {Number} [utterance.startTime] - When speech started (epoch ms,
+ *   defaults to the receive time)
+ * @param {Number} [utterance.endTime] - When speech ended (epoch ms)
+ * @param {Number|String} [utterance.language] - RTMS LANGUAGE_ID_* or a
+ *   language code; detected from the text when missing
+ * @param {Boolean} [utterance.isFinal=true] - Interim results only update the
+ *   buffer, where the speaker's next result replaces them; sinks see finals
+ * @return {Boolean} false if the utterance was a duplicate
+ */
+export function ingestTranscript({
+    meetingId,
+    productType = 'meeting',
+    speakerId,
+    speakerName,
+    text,
+    sourceTimestamp,
+    startTime,
+    endTime,
+    language,
+    isFinal = true,
+}) {
+    const lang = languageCode(language) ?? detectLanguage(text);
+    // Chunks and utterances carry when things were said, not when they arrived
+    const receivedAt = Date.now();
+    const timestamp = new Date(startTime ?? receivedAt).toISOString();
+    const endTimestamp = new Date(
+        endTime ?? startTime ?? receivedAt
+    ).toISOString();
+
+    const buffer = getOrCreateBuffer(meetingId, { productType });
+    wireBufferEvents(meetingId, buffer);
+
+    if (!isFinal) {
+        buffer.setInterim({
+            speakerId,
+            speakerName,
+            text,
+            timestamp,
+            endTime: endTimestamp,
+            language: lang,
+            sourceTimestamp,
+        });
+        return true;
+    }
+
+    // Drop events we already have
+    const id = transcriptId({ meetingId, speakerId, sourceTimestamp, text });
+    if (id && isDuplicateUtterance(id)) {
+        dbg(`Skipping duplicate transcript event ${id}`);
+        return false;
+    }
+
+    buffer.append({
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        endTime: endTimestamp,
+        language: lang,
+    });
+
+    dispatch('onUtterance', {
+        utteranceId: id,
+        meetingId,
+        productType,
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        startTime: timestamp,
+        endTime: endTimestamp,
+        language: lang,
+    });
+    return true;
+}
+
+/**
+ * Feed one in-meeting chat message into the pipeline. Chat is indexed on its
+ * own and also counts towards the sender's speaker summary.
+ * @param {Object} message - Same fields as ingestTranscript()
+ * @return {Boolean} false if the message was a duplicate
+ */
+export function ingestChat({
+    meetingId,
+    productType = 'meeting',
+    speakerId,
+    speakerName,
+    text,
+    sourceTimestamp,
+}) {
+    // Sent time from RTMS; receive time only when it is missing
+    const timestamp = new Date(sourceTimestamp ?? Date.now()).toISOString();
+
+    // Same as transcripts: a redelivered message arrives at a new receive
+    // time, so without an RTMS timestamp it can't be told from a new one
+    const id = transcriptId({ meetingId, speakerId, sourceTimestamp, text });
+    if (id && isDuplicateUtterance(id)) {
+        dbg(`Skipping duplicate chat message ${id}`);
+        return false;
+    }
+
+    const language = detectLanguage(text);
+    const buffer = getOrCreateBuffer(meetingId, { productType });
+    wireBufferEvents(meetingId, buffer);
+
+    buffer.append({
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        language,
+        source: 'chat',
+    });
+
+    dispatch('onChat', {
+        messageId: id,
+        meetingId,
+        productType,
+        speakerId,
+        speakerName,
+        text,
+        timestamp,
+        language,
+    });
+    return true;
+}
+
+/**
+ * Flush and drop a meeting's buffer once its stream has ended
+ * @param {String} meetingId
+ * @return {Promise<void>} Resolves once the buffer's checkpoint is removed
+ */
+export function endMeeting(meetingId) {
+    wiredMeetings.delete(meetingId);
+    return destroyBuffer(meetingId);
+}
+
+/**
+ * Bring back the buffers checkpointed by a previous process (deploy, crash).
+ * Meetings still active in the meetings index carry on where they left off;
+ * the rest ended while we were down, so their leftovers are flushed.
+ * @return {Promise<Object>} { resumed, flushed } meeting IDs
+ */
+export async function restoreBuffers() {
+    const meetingIds = await listCheckpoints();
+    if (meetingIds.length === 0) return { resumed: [], flushed: [] };
+
+    const active = new Set(await getActiveMeetingUuids(meetingIds));
+    const resumed = [];
+    const flushed = [];
+    for (const meetingId of meetingIds) {
+        wireBufferEvents(meetingId, getOrCreateBuffer(meetingId));
+        if (active.has(meetingId)) {
+            resumed.push(meetingId);
+        } else {
+            await endMeeting(meetingId);
+            flushed.push(meetingId);
+        }
+    }
+    console.log(
+        `♻️ Transcript buffers restored: ${resumed.length} resumed, ${flushed.length} flushed`
+    );
+    return { resumed, flushed };
+}
@@ -0,0 +1,26 @@
+import { languageName } from './languages.js';
+import { completeStructured } from './structured-output.js';
+import { translationSchema } from './llm-schemas.js';
+
+/**
+ * Translate text for a reader, e.g. a summary written in the meeting's
+ * language. Text already in the target language is returned as is.
+ * @param {String} text
+ * @param {String} targetLanguage - Language code (see languages.js)
+ * @param {String} [sourceLanguage] - Language code of text, if known
+ * @return {Promise<String>}
+ */
+export async function translate(text, targetLanguage, sourceLanguage) {
+    if (!text || !targetLanguage || targetLanguage === sourceLanguage) {
+        return text;
+    }
+
+    const from = sourceLanguage ? ` from ${languageName(sourceLanguage)}` : '';
+    const to = languageName(targetLanguage);
+    const prompt = `Translate the following text${from} into ${to}. Keep names, numbers, technical terms and line breaks unchanged. Put the translation in "translation".
+
+${text}`;
+
+    const { translation } = await completeStructured(prompt, translationSchema);
+    return translation.trim();
+}
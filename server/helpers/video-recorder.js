@@ -0,0 +1,200 @@
+import fs from 'fs';
+import path from 'path';
+import { videoRecordDir } from '../../config.js';
+import { getAudioRecordingPath } from './audio-recorder.js';
+import { runFfmpeg } from './ffmpeg.js';
+import {
+    appendManifest,
+    meetingRecordingDir,
+    readManifest,
+    resolveRecordingFile,
+} from './recording-manifest.js';
+
+const DEFAULT_FPS = 25;
+const AUDIO_CODEC = 'aac';
+
+// meeting UUID → { startedAt, productType, fps, file, frames, firstTimestamp, lastTimestamp }
+// Only meetings passed to startVideoRecording() are recorded
+const sessions = new Map();
+
+function meetingDir(meetingId) {
+    return meetingRecordingDir(videoRecordDir, meetingId);
+}
+
+/**
+ * Mark a meeting for video recording; frames for other meetings are ignored
+ * @param {String} meetingId - Meeting UUID
+ * @param {Object} [options]
+ * @param {String} [options.productType='meeting']
+ */
+export function startVideoRecording(
+    meetingId,
+    { productType = 'meeting' } = {}
+) {
+    if (sessions.has(meetingId)) return;
+    sessions.set(meetingId, {
+        startedAt: new Date(),
+        productType,
+        fps: DEFAULT_FPS,
+        file: null,
+        frames: 0,
+        firstTimestamp: null,
+        lastTimestamp: null,
+    });
+    console.log(`🎥 Video recording armed for ${meetingId}`);
+}
+
+/**
+ * Append an RTMSManager 'video' event (one H.264 Annex-B access unit)
+ * @param {Object} event - { buffer, timestamp, meetingId }
+ * @param {Object} [videoDetails] - Handshake video params (fps, codec)
+ */
+export function recordVideo(event, videoDetails = {}) {
+    const meetingId = String(event.meetingId);
+    const session = sessions.get(meetingId);
+    if (!session) return;
+
+    if (!session.file) {
+        const stamp = session.startedAt.toISOString().replace(/[:.]/g, '-');
+        const filePath = path.join(
+            meetingDir(meetingId),
+            `${stamp}_video.h264`
+        );
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+        session.fps = videoDetails.fps || DEFAULT_FPS;
+        session.firstTimestamp = event.timestamp;
+        session.file = fs.createWriteStream(filePath);
+        session.file.on('error', (err) =>
+            console.error(`❌ Video write to ${filePath} failed:`, err.message)
+        );
+        console.log(`🎥 Recording video to ${filePath}`);
+    }
+
+    session.frames++;
+    session.lastTimestamp = event.timestamp;
+    session.file.write(event.buffer);
+}
+
+/**
+ * ffmpeg arguments muxing the raw stream (and audio, if any) into MP4.
+ * Whichever track started later is delayed so both stay in sync.
+ */
+function muxArgs({ h264Path, mp4Path, fps, audioPath, audioOffsetMs }) {
+    const delay = (ms) => (ms > 0 ? ['-itsoffset', String(ms / 1000)] : []);
+    return [
+        '-y',
+        ...delay(-audioOffsetMs),
+        '-framerate',
+        String(fps),
+        '-i',
+        h264Path,
+        ...(audioPath ? [...delay(audioOffsetMs), '-i', audioPath] : []),
+        '-c:v',
+        'copy',
+        ...(audioPath ? ['-c:a', AUDIO_CODEC] : []),
+        '-movflags',
+        '+faststart',
+        mp4Path,
+    ];
+}
+
+/**
+ * Close a meeting's video once its stream has stopped and mux it into MP4
+ * with the meeting's mixed audio recording. Without ffmpeg the raw .h264 is
+ * kept instead.
+ * @param {String} meetingId - Meeting UUID
+ * @param {Array<Object>} [audioEntries] - From finalizeAudioRecording()
+ * @return {Promise<Array<Object>>} Manifest entries for the new files
+ */
+export async function finalizeVideoRecording(meetingId, audioEntries = []) {
+    const session = sessions.get(meetingId);
+    if (!session) return [];
+    sessions.delete(meetingId);
+    if (!session.file) return [];
+
+    await new Promise((resolve) => session.file.end(resolve));
+    const h264Path = session.file.path;
+
+    // Measured rate keeps the video as long as the meeting was, even if
+    // Zoom sent fewer frames than requested
+    const durationMs = session.lastTimestamp - session.firstTimestamp;
+    const fps =
+        durationMs > 0
+            ? Math.round(((session.frames - 1) * 1000 * 100) / durationMs) / 100
+            : session.fps;
+
+    const mixed = audioEntries.find(
+        (e) => e.kind === 'audio' && e.speaker_id === null
+    );
+    const audioPath = mixed
+        ? await getAudioRecordingPath(meetingId, mixed.file)
+        : null;
+
+    let filePath = h264Path;
+    try {
+        const mp4Path = h264Path.replace(/\.h264$/, '.mp4');
+        await runFfmpeg(
+            muxArgs({
+                h264Path,
+                mp4Path,
+                fps,
+                audioPath,
+                audioOffsetMs: mixed
+                    ? mixed.first_timestamp - session.firstTimestamp
+                    : 0,
+            })
+        );
+        await fs.promises.unlink(h264Path);
+        filePath = mp4Path;
+    } catch (err) {
+        console.warn(
+            err.code === 'ENOENT'
+                ? `⚠️  ffmpeg not found — keeping raw ${path.basename(
+                      h264Path
+                  )}`
+                : `⚠️  MP4 mux failed, keeping raw H.264: ${err.message}`
+        );
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    const entries = [
+        {
+            kind: 'video',
+            file: path.basename(filePath),
+            format: path.extname(filePath).slice(1),
+            audio_file: filePath.endsWith('.mp4') ? mixed?.file || null : null,
+            product_type: session.productType,
+            frames: session.frames,
+            fps,
+            duration_ms: durationMs,
+            bytes: size,
+            started_at: session.startedAt.toISOString(),
+            ended_at: new Date().toISOString(),
+        },
+    ];
+    await appendManifest(meetingDir(meetingId), entries);
+    console.log(
+        `✅ Saved video recording for ${meetingId}: ${entries[0].file}`
+    );
+    return entries;
+}
+
+/**
+ * Finished video recordings for a meeting
+ * @param {String} meetingId - Meeting UUID
+ * @return {Promise<Array<Object>>} Manifest entries
+ */
+export function listVideoRecordings(meetingId) {
+    return readManifest(meetingDir(meetingId));
+}
+
+/**
+ * Resolve a finished video recording for download
+ * @param {String} meetingId - Meeting UUID
+ * @param {String} file - File name from listVideoRecordings()
+ * @return {Promise<String|null>} Absolute path, or null if unknown
+ */
+export function getVideoRecordingPath(meetingId, file) {
+    return resolveRecordingFile(meetingDir(meetingId), file);
+}
@@ -0,0 +1,94 @@
+import fs from 'fs';
+import path from 'path';
+
+const HEADER_BYTES = 44;
+
+function wavHeader({ sampleRate, channels, bitsPerSample, dataBytes }) {
+    const blockAlign = (channels * bitsPerSample) / 8;
+    const header = Buffer.alloc(HEADER_BYTES);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16); // PCM fmt chunk size
+    header.writeUInt16LE(1, 20); // PCM
+    header.writeUInt16LE(channels, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(bitsPerSample, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+/**
+ * Streams little-endian PCM to a WAV file.
+ *
+ * The header is written up front with zero sizes and patched on close(), so
+ * a file from a crashed process still has the right format, just a wrong
+ * length that most players tolerate.
+ */
+export class WavWriter {
+    /**
+     * @param {String} filePath
+     * @param {Object} format
+     * @param {Number} format.sampleRate - e.g. 16000
+     * @param {Number} [format.channels=1]
+     * @param {Number} [format.bitsPerSample=16]
+     */
+    constructor(filePath, { sampleRate, channels = 1, bitsPerSample = 16 }) {
+        this.filePath = filePath;
+        this.format = { sampleRate, channels, bitsPerSample };
+        this.dataBytes = 0;
+        this.closed = false;
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.stream = fs.createWriteStream(filePath);
+        this.stream.on('error', (err) =>
+            console.error(`❌ WAV write to ${filePath} failed:`, err.message)
+        );
+        this.stream.write(wavHeader({ ...this.format, dataBytes: 0 }));
+    }
+
+    /**
+     * Append raw PCM samples
+     * @param {Buffer} pcm
+     */
+    write(pcm) {
+        if (this.closed) return;
+        this.dataBytes += pcm.length;
+        this.stream.write(pcm);
+    }
+
+    /**
+     * Length of the audio written so far, in ms
+     */
+    get durationMs() {
+        const { sampleRate, channels, bitsPerSample } = this.format;
+        const bytesPerSecond = (sampleRate * channels * bitsPerSample) / 8;
+        return Math.round((this.dataBytes / bytesPerSecond) * 1000);
+    }
+
+    /**
+     * Flush, patch the RIFF/data sizes and close the file
+     * @return {Promise<void>}
+     */
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        await new Promise((resolve) => this.stream.end(resolve));
+
+        const handle = await fs.promises.open(this.filePath, 'r+');
+        try {
+            await handle.write(
+                wavHeader({ ...this.format, dataBytes: this.dataBytes }),
+                0,
+                HEADER_BYTES,
+                0
+            );
+        } finally {
+            await handle.close();
+        }
+    }
+}
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { zmSecretToken, zmWebhookMaxSkew } from '../../config.js';
+
+const SIGNATURE_HEADER = 'x-zm-signature';
+const TIMESTAMP_HEADER = 'x-zm-request-timestamp';
+
+// Recently accepted signatures → expiry (ms epoch). A signature is only
+// valid inside the skew window, so entries can be dropped once it closes.
+const seenSignatures = new Map();
+
+function pruneSeenSignatures(now) {
+    for (const [signature, expiresAt] of seenSignatures) {
+        if (expiresAt <= now) seenSignatures.delete(signature);
+    }
+}
+
+function reject(res, reason, message) {
+    console.warn(`🚫 Webhook rejected (${reason}): ${message}`);
+    return res.status(401).json({ error: 'unauthorized', reason, message });
+}
+
+/**
+ * Build the expected x-zm-signature value for a webhook request
+ * @param {String} timestamp - x-zm-request-timestamp header value
+ * @param {Buffer|String} rawBody - Exact request body bytes
+ * @param {String} [secret] - Webhook secret token
+ * @return {String} Signature in the form v0=<hex>
+ */
+export function signWebhook(timestamp, rawBody, secret = zmSecretToken) {
+    const hash = crypto
+        .createHmac('sha256', secret)
+        .update(`v0:${timestamp}:${rawBody}`)
+        .digest('hex');
+    return `v0=${hash}`;
+}
+
+/**
+ * Express middleware that verifies Zoom webhook signatures.
+ * Requires req.rawBody to be captured by the JSON body parser.
+ * @param {Object} [options]
+ * @param {Number} [options.maxSkewSeconds] - Allowed clock skew for timestamps
+ * @param {String} [options.secret] - Webhook secret token
+ */
+export function verifyZoomWebhook({
+    maxSkewSeconds = zmWebhookMaxSkew,
+    secret = zmSecretToken,
+} = {}) {
+    const windowMs = maxSkewSeconds * 1000;
+
+    return (req, res, next) => {
+        if (!secret) {
+            return reject(
+                res,
+                'secret_not_configured',
+                'ZM_SECRET_TOKEN is not set'
+            );
+        }
+
+        const signature = req.header(SIGNATURE_HEADER);
+        const timestamp = req.header(TIMESTAMP_HEADER);
+        if (!signature || !timestamp) {
+            return reject(
+                res,
+                'missing_headers',
+                `${SIGNATURE_HEADER} and ${TIMESTAMP_HEADER} are required`
+            );
+        }
+
+        const now = Date.now();
+        const sentAt = Number(timestamp) * 1000;
+        if (!Number.isFinite(sentAt) || Math.abs(now - sentAt) > windowMs) {
+            return reject(
+                res,
+                'timestamp_out_of_range',
+                `timestamp ${timestamp} is outside the ${maxSkewSeconds}s window`
+            );
+        }
+
+        const rawBody = req.rawBody ?? JSON.stringify(req.body);
+        const expected = Buffer.from(signWebhook(timestamp, rawBody, secret));
+        const received = Buffer.from(signature);
+        if (
+            expected.length !== received.length ||
+            !crypto.timingSafeEqual(expected, received)
+        ) {
+            return reject(
+                res,
+                'invalid_signature',
+                'signature does not match request body'
+            );
+        }
+
+        pruneSeenSignatures(now);
+        if (seenSignatures.has(signature)) {
+            return reject(
+                res,
+                'replayed',
+                'signature has already been accepted'
+            );
+        }
+        seenSignatures.set(signature, sentAt + windowMs);
+
+        next();
+    };
+}
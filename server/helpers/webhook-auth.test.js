@@ -0,0 +1,122 @@
+import assert from 'assert/strict';
+import { describe, test } from 'node:test';
+import { signWebhook, verifyZoomWebhook } from './webhook-auth.js';
+
+const secret = 'test-webhook-secret';
+const rawBody = '{"event":"meeting.rtms_started"}';
+
+function request(headers, body = rawBody) {
+    const lower = Object.fromEntries(
+        Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+    );
+    return { header: (name) => lower[name.toLowerCase()], rawBody: body };
+}
+
+function signedRequest(timestamp = Math.floor(Date.now() / 1000), body) {
+    return request(
+        {
+            'x-zm-request-timestamp': String(timestamp),
+            'x-zm-signature': signWebhook(timestamp, body ?? rawBody, secret),
+        },
+        body
+    );
+}
+
+// Run the middleware: { next: true } if it passed, else the 401 body
+function run(middleware, req) {
+    let result;
+    const res = {
+        status(code) {
+            assert.equal(code, 401);
+            return this;
+        },
+        json(body) {
+            result = body;
+            return this;
+        },
+    };
+    middleware(req, res, () => {
+        result = { next: true };
+    });
+    return result;
+}
+
+describe('signWebhook', () => {
+    test('signs v0:timestamp:body with HMAC-SHA256', () => {
+        assert.equal(
+            signWebhook('1700000000', 'body', 'secret'),
+            'v0=09007942f7001d2b8407c826d50c7c64878ea8fb0acfc43f2d20e94b0a5b8a91'
+        );
+    });
+});
+
+describe('verifyZoomWebhook', () => {
+    test('accepts a correctly signed request', () => {
+        const verify = verifyZoomWebhook({ secret, maxSkewSeconds: 300 });
+        assert.deepEqual(run(verify, signedRequest()), { next: true });
+    });
+
+    test('rejects everything without a secret', () => {
+        const verify = verifyZoomWebhook({ secret: '', maxSkewSeconds: 300 });
+        assert.equal(
+            run(verify, signedRequest()).reason,
+            'secret_not_configured'
+        );
+    });
+
+    test('rejects a request without signature headers', () => {
+        const verify = verifyZoomWebhook({ secret, maxSkewSeconds: 300 });
+        assert.equal(
+            run(verify, request({ 'x-zm-request-timestamp': '1' })).reason,
+            'missing_headers'
+        );
+    });
+
+    test('rejects a timestamp outside the skew window', () => {
+        const verify = verifyZoomWebhook({ secret, maxSkewSeconds: 300 });
+        const stale = Math.floor(Date.now() / 1000) - 301;
+        assert.equal(
+            run(verify, signedRequest(stale)).reason,
+            'timestamp_out_of_range'
+        );
+        assert.equal(
+            run(
+                verify,
+                request({
+                    'x-zm-request-timestamp': 'yesterday',
+                    'x-zm-signature': 'v0=abc',
+                })
+            ).reason,
+            'timestamp_out_of_range'
+        );
+    });
+
+    test('rejects a signature that does not match the body', () => {
+        const verify = verifyZoomWebhook({ secret, maxSkewSeconds: 300 });
+        const req = signedRequest();
+        req.rawBody = '{"event":"meeting.rtms_stopped"}';
+        assert.equal(run(verify, req).reason, 'invalid_signature');
+
+        const wrongSecret = verifyZoomWebhook({
+            secret: 'other',
+            maxSkewSeconds: 300,
+        });
+        assert.equal(
+            run(wrongSecret, signedRequest()).reason,
+            'invalid_signature'
+        );
+    });
+
+    test('rejects a replayed request', () => {
+        const verify = verifyZoomWebhook({ secret, maxSkewSeconds: 300 });
+        const body = '{"event":"meeting.rtms_started","replay":true}';
+        const timestamp = Math.floor(Date.now() / 1000);
+        assert.deepEqual(run(verify, signedRequest(timestamp, body)), {
+            next: true,
+        });
+        assert.equal(
+            run(verify, signedRequest(timestamp, body)).reason,
+            'replayed'
+        );
+    });
+});
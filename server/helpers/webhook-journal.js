@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { dataDir } from '../../config.js';
+
+const journalPath = path.join(dataDir, 'webhook-journal.jsonl');
+
+// Headers that never belong on disk
+const REDACTED_HEADERS = ['authorization', 'cookie', 'x-admin-key'];
+
+// Serialize appends so journal order matches receive order
+let writeChain = Promise.resolve();
+
+function append(record) {
+    writeChain = writeChain
+        .then(async () => {
+            await fs.promises.mkdir(dataDir, { recursive: true });
+            await fs.promises.appendFile(
+                journalPath,
+                `${JSON.stringify(record)}\n`
+            );
+        })
+        .catch((err) =>
+            console.error('❌ Failed to write webhook journal:', err.message)
+        );
+    return writeChain;
+}
+
+/**
+ * Journal an incoming webhook request
+ * @param {Request} req - Verified webhook request
+ * @return {Promise<String>} Journal entry ID
+ */
+export async function journalWebhook(req) {
+    const headers = { ...req.headers };
+    for (const name of REDACTED_HEADERS) delete headers[name];
+
+    const id = crypto.randomUUID();
+    await append({
+        type: 'event',
+        id,
+        event: req.body?.event,
+        payload: req.body?.payload,
+        headers,
+        received_at: new Date().toISOString(),
+    });
+    return id;
+}
+
+/**
+ * Record how a journaled webhook was processed
+ * @param {String} id - Journal entry ID
+ * @param {String} outcome - validated | dispatched | ignored | error | replayed
+ * @param {String} [detail] - Error message or other context
+ */
+export function recordWebhookOutcome(id, outcome, detail) {
+    return append({
+        type: 'outcome',
+        id,
+        outcome,
+        detail,
+        at: new Date().toISOString(),
+    });
+}
+
+/**
+ * Read the journal, merging outcome records into their events
+ * @return {Promise<Array>} Entries in receive order
+ */
+async function readJournal() {
+    await writeChain;
+
+    let raw;
+    try {
+        raw = await fs.promises.readFile(journalPath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const entries = new Map();
+    for (const line of raw.split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch {
+            console.warn('⚠️ Skipping corrupt webhook journal line');
+            continue;
+        }
+        if (record.type === 'event') {
+            const { id, event, payload, headers, received_at } = record;
+            entries.set(id, {
+                id,
+                event,
+                payload,
+                headers,
+                received_at,
+                outcomes: [],
+            });
+        } else if (record.type === 'outcome') {
+            const { outcome, detail, at } = record;
+            entries.get(record.id)?.outcomes.push({ outcome, detail, at });
+        }
+    }
+    return [...entries.values()];
+}
+
+/**
+ * List journaled webhooks, newest last
+ * @param {Object} [filters]
+ * @param {String} [filters.event] - Only entries with this event name
+ * @param {String} [filters.since] - Only entries received at/after this ISO time
+ * @param {Number} [filters.limit=100] - Max entries (most recent kept)
+ */
+export async function listWebhookJournal({ event, since, limit = 100 } = {}) {
+    let entries = await readJournal();
+    if (event) entries = entries.filter((e) => e.event === event);
+    if (since) entries = entries.filter((e) => e.received_at >= since);
+    return entries.slice(-limit);
+}
+
+/**
+ * Get a single journaled webhook
+ * @param {String} id - Journal entry ID
+ * @return {Promise<Object|null>}
+ */
+export async function getWebhookJournalEntry(id) {
+    const entries = await readJournal();
+    return entries.find((e) => e.id === id) || null;
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { dataDir } from '../../config.js';
+
+const MIN_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60_000;
+
+/**
+ * Durable, ordered write-ahead queue backed by a local JSONL file.
+ *
+ * Operations are appended to <dataDir>/<name>.jsonl before enqueue() returns
+ * and replayed in order through `execute` until it succeeds. The sequence
+ * number of the last applied operation is kept in <name>.offset, so a restart
+ * resumes where the previous process stopped. Operations that fail with a
+ * non-retriable error are moved to <name>.dead.jsonl instead of blocking the
+ * rest of the queue.
+ */
+export class WriteAheadQueue {
+    /**
+     * @param {Object} options
+     * @param {String} options.name - File name prefix inside dataDir
+     * @param {Function} options.execute - async (op) => result
+     * @param {Function} options.isRetriable - (error) => Boolean
+     */
+    constructor({ name, execute, isRetriable }) {
+        this.name = name;
+        this.execute = execute;
+        this.isRetriable = isRetriable;
+
+        this.queuePath = path.join(dataDir, `${name}.jsonl`);
+        this.offsetPath = path.join(dataDir, `${name}.offset`);
+        this.deadPath = path.join(dataDir, `${name}.dead.jsonl`);
+
+        this.pending = []; // { seq, enqueued_at, op }
+        this.committedSeq = 0;
+        this.nextSeq = 1;
+        this.backoffMs = MIN_BACKOFF_MS;
+        this.drainTimer = null;
+        this.draining = false;
+        this.lastError = null;
+        this.nextAttemptAt = null;
+
+        this._load();
+    }
+
+    _load() {
+        fs.mkdirSync(dataDir, { recursive: true });
+
+        try {
+            this.committedSeq =
+                Number(fs.readFileSync(this.offsetPath, 'utf8')) || 0;
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        let raw = '';
+        try {
+            raw = fs.readFileSync(this.queuePath, 'utf8');
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+
+        let maxSeq = this.committedSeq;
+        for (const line of raw.split('\n')) {
+            if (!line) continue;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // a torn final line from a crash mid-append
+                console.warn(`⚠️ ${this.name}: skipping corrupt queue line`);
+                continue;
+            }
+            maxSeq = Math.max(maxSeq, entry.seq);
+            if (entry.seq > this.committedSeq) this.pending.push(entry);
+        }
+        this.nextSeq = maxSeq + 1;
+
+        if (this.pending.length > 0) {
+            console.log(
+                `📥 ${this.name}: recovered ${this.pending.length} pending writes from disk`
+            );
+            this._scheduleDrain(0);
+        }
+    }
+
+    /**
+     * Number of operations waiting to be applied
+     */
+    get depth() {
+        return this.pending.length;
+    }
+
+    /**
+     * Persist an operation and schedule it to be applied
+     * @param {Object} op - JSON-serializable operation passed to execute()
+     */
+    enqueue(op) {
+        const entry = {
+            seq: this.nextSeq++,
+            enqueued_at: Date.now(),
+            op,
+        };
+        fs.appendFileSync(this.queuePath, `${JSON.stringify(entry)}\n`);
+        this.pending.push(entry);
+        if (!this.draining && !this.drainTimer) this._scheduleDrain(0);
+        return entry.seq;
+    }
+
+    /**
+     * Retry immediately (e.g. once the backing service is known to be back)
+     */
+    drainNow() {
+        this.backoffMs = MIN_BACKOFF_MS;
+        if (this.pending.length > 0 && !this.draining) this._scheduleDrain(0);
+    }
+
+    /**
+     * Queue health for monitoring
+     * @return {Object} depth, oldest item age, last error and next attempt time
+     */
+    stats() {
+        const oldest = this.pending[0];
+        return {
+            name: this.name,
+            depth: this.pending.length,
+            oldest_age_ms: oldest ? Date.now() - oldest.enqueued_at : 0,
+            draining: this.draining,
+            last_error: this.lastError,
+            next_attempt_at: this.nextAttemptAt
+                ? new Date(this.nextAttemptAt).toISOString()
+                : null,
+        };
+    }
+
+    _scheduleDrain(delayMs) {
+        if (this.drainTimer) clearTimeout(this.drainTimer);
+        this.nextAttemptAt = Date.now() + delayMs;
+        this.drainTimer = setTimeout(() => {
+            this.drainTimer = null;
+            this._drain();
+        }, delayMs);
+    }
+
+    _commit(seq) {
+        this.committedSeq = seq;
+        fs.writeFileSync(this.offsetPath, String(seq));
+        if (this.pending.length === 0) {
+            // Everything applied — start the log over
+            fs.writeFileSync(this.queuePath, '');
+        }
+    }
+
+    async _drain() {
+        if (this.draining) return;
+        this.draining = true;
+        this.nextAttemptAt = null;
+
+        try {
+            while (this.pending.length > 0) {
+                const entry = this.pending[0];
+                try {
+                    await this.execute(entry.op);
+                } catch (error) {
+                    if (this.isRetriable(error)) {
+                        this.lastError = error.message;
+                        console.warn(
+                            `⏳ ${this.name}: write failed (${error.message}), ${this.pending.length} queued — retrying in ${this.backoffMs}ms`
+                        );
+                        this._scheduleDrain(this.backoffMs);
+                        this.backoffMs = Math.min(
+                            this.backoffMs * 2,
+                            MAX_BACKOFF_MS
+                        );
+                        return;
+                    }
+
+                    console.error(
+                        `❌ ${this.name}: dropping write ${entry.seq} to dead letters:`,
+                        error.message
+                    );
+                    fs.appendFileSync(
+                        this.deadPath,
+                        `${JSON.stringify({
+                            ...entry,
+                            error: error.message,
+                        })}\n`
+                    );
+                }
+
+                this.pending.shift();
+                this._commit(entry.seq);
+                this.backoffMs = MIN_BACKOFF_MS;
+                this.lastError = null;
+            }
+            console.log(`✅ ${this.name}: queue drained`);
+        } finally {
+            this.draining = false;
+        }
+    }
+}
@@ -0,0 +1,304 @@
+import express from 'express';
+import { audioRecordDir, videoRecordDir } from '../../config.js';
+import { handleError, requireAdmin } from '../helpers/routing.js';
+import {
+    getBulkIndexerStats,
+    getWriteQueueStats,
+} from '../helpers/elasticsearch.js';
+import {
+    getWebhookJournalEntry,
+    listWebhookJournal,
+    recordWebhookOutcome,
+} from '../helpers/webhook-journal.js';
+import {
+    getAudioRecordingPath,
+    listAudioRecordings,
+} from '../helpers/audio-recorder.js';
+import {
+    getVideoRecordingPath,
+    listVideoRecordings,
+} from '../helpers/video-recorder.js';
+import {
+    deleteMeetingPolicy,
+    deleteProductTypePolicy,
+    getBufferPolicies,
+    setMeetingPolicy,
+    setProductTypePolicy,
+    updateDefaultPolicy,
+} from '../helpers/buffer-policies.js';
+import {
+    listBuffers,
+    refreshBufferPolicies,
+} from '../helpers/transcript-buffer.js';
+import { getStructuredOutputStats } from '../helpers/structured-output.js';
+import { dispatchWebhookEvent, getMeetingUuid } from './webhook.js';
+
+const router = express.Router();
+
+// Every admin route requires the x-admin-key header
+router.use(requireAdmin);
+
+/**
+ * Re-dispatch a journaled webhook and record the result on its entry
+ */
+async function replayEntry(entry) {
+    console.log(`🔁 Replaying webhook ${entry.id} (${entry.event})`);
+    try {
+        const outcome = await dispatchWebhookEvent(entry.event, entry.payload);
+        await recordWebhookOutcome(entry.id, 'replayed', outcome);
+        return { id: entry.id, event: entry.event, outcome };
+    } catch (err) {
+        await recordWebhookOutcome(entry.id, 'error', err.message);
+        return { id: entry.id, event: entry.event, error: err.message };
+    }
+}
+
+/**
+ * List journaled webhook events
+ * GET /admin/webhooks?event=meeting.rtms_started&since=ISO&limit=100
+ */
+router.get('/webhooks', async (req, res, next) => {
+    try {
+        const { event, since } = req.query;
+        const limit = Math.min(Number(req.query.limit) || 100, 1000);
+
+        const entries = await listWebhookJournal({ event, since, limit });
+        res.json({
+            total: entries.length,
+            events: entries.map(({ id, event, received_at, outcomes }) => ({
+                id,
+                event,
+                received_at,
+                outcome: outcomes[outcomes.length - 1]?.outcome || null,
+            })),
+        });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Inspect a journaled webhook event (headers, payload, outcomes)
+ * GET /admin/webhooks/:id
+ */
+router.get('/webhooks/:id', async (req, res, next) => {
+    try {
+        const entry = await getWebhookJournalEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'journal entry not found' });
+        }
+        res.json(entry);
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Re-dispatch a single journaled event into RTMSManager
+ * POST /admin/webhooks/:id/replay
+ */
+router.post('/webhooks/:id/replay', async (req, res, next) => {
+    try {
+        const entry = await getWebhookJournalEntry(req.params.id);
+        if (!entry) {
+            return res.status(404).json({ error: 'journal entry not found' });
+        }
+        res.json(await replayEntry(entry));
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Re-dispatch a sequence of journaled events, in the order they were received
+ * POST /admin/webhooks/replay
+ * Body: { ids: string[] }
+ */
+router.post('/webhooks/replay', async (req, res, next) => {
+    try {
+        const { ids } = req.body;
+        if (!Array.isArray(ids) || ids.length === 0) {
+            return res.status(400).json({ error: 'ids array required' });
+        }
+
+        const wanted = new Set(ids);
+        const entries = (await listWebhookJournal({ limit: Infinity })).filter(
+            (e) => wanted.has(e.id)
+        );
+        if (entries.length !== wanted.size) {
+            return res
+                .status(404)
+                .json({ error: 'one or more journal entries not found' });
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            results.push(await replayEntry(entry));
+        }
+        res.json({ replayed: results.length, results });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Pending Elasticsearch writes per index (depth, oldest item age, last
+ * error) and the indices that are not set up
+ * GET /admin/es-queue
+ */
+router.get('/es-queue', (req, res) => {
+    res.json(getWriteQueueStats());
+});
+
+/**
+ * Bulk indexer throughput and failure counts
+ * GET /admin/es-bulk
+ */
+router.get('/es-bulk', (req, res) => {
+    res.json(getBulkIndexerStats());
+});
+
+/**
+ * Structured LLM output per schema: valid replies, repairs and failures
+ * GET /admin/llm-outputs
+ */
+router.get('/llm-outputs', (req, res) => {
+    res.json(getStructuredOutputStats());
+});
+
+/**
+ * List finished audio and video recordings for a meeting
+ * GET /admin/recordings/:meetingId
+ */
+router.get('/recordings/:meetingId', async (req, res, next) => {
+    try {
+        if (!audioRecordDir && !videoRecordDir) {
+            return res.status(404).json({ error: 'recording is disabled' });
+        }
+        const uuid = await getMeetingUuid(req.params.meetingId);
+        const meetingId = uuid || req.params.meetingId;
+        const recordings = [
+            ...(audioRecordDir ? await listAudioRecordings(meetingId) : []),
+            ...(videoRecordDir ? await listVideoRecordings(meetingId) : []),
+        ];
+        res.json({
+            meeting_id: req.params.meetingId,
+            total: recordings.length,
+            recordings,
+        });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Download one audio or video recording
+ * GET /admin/recordings/:meetingId/:file
+ */
+router.get('/recordings/:meetingId/:file', async (req, res, next) => {
+    try {
+        if (!audioRecordDir && !videoRecordDir) {
+            return res.status(404).json({ error: 'recording is disabled' });
+        }
+        const uuid = await getMeetingUuid(req.params.meetingId);
+        const meetingId = uuid || req.params.meetingId;
+        const { file } = req.params;
+        const filePath =
+            (audioRecordDir &&
+                (await getAudioRecordingPath(meetingId, file))) ||
+            (videoRecordDir && (await getVideoRecordingPath(meetingId, file)));
+        if (!filePath) {
+            return res.status(404).json({ error: 'recording not found' });
+        }
+        res.download(filePath, file);
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Transcript buffer policies and the policy each active buffer runs with
+ * GET /admin/buffer-policies
+ */
+router.get('/buffer-policies', (req, res) => {
+    res.json({ ...getBufferPolicies(), active: listBuffers() });
+});
+
+/**
+ * Change default policy fields
+ * PATCH /admin/buffer-policies/defaults
+ * Body: { summaryIntervalMs?, chunkIntervalMs?, chunkTargetTokens?,
+ *        chunkOverlapTokens?, speakerIdleMs? }
+ */
+router.patch('/buffer-policies/defaults', (req, res, next) => {
+    try {
+        updateDefaultPolicy(req.body);
+        res.json({ ...getBufferPolicies(), active: refreshBufferPolicies() });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Set or remove the override for a product type (meeting, webinar, ...)
+ * PUT /admin/buffer-policies/product-types/:productType (body: policy fields)
+ * DELETE /admin/buffer-policies/product-types/:productType
+ */
+router.put('/buffer-policies/product-types/:productType', (req, res, next) => {
+    try {
+        setProductTypePolicy(req.params.productType, req.body);
+        res.json({ ...getBufferPolicies(), active: refreshBufferPolicies() });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+router.delete('/buffer-policies/product-types/:productType', (req, res) => {
+    if (!deleteProductTypePolicy(req.params.productType)) {
+        return res.status(404).json({ error: 'no override for product type' });
+    }
+    res.json({ ...getBufferPolicies(), active: refreshBufferPolicies() });
+});
+
+/**
+ * Set or remove the override for one meeting. Meetings that haven't started
+ * yet can be configured by their numeric ID.
+ * PUT /admin/buffer-policies/meetings/:meetingId (body: policy fields)
+ * DELETE /admin/buffer-policies/meetings/:meetingId
+ */
+router.put('/buffer-policies/meetings/:meetingId', async (req, res, next) => {
+    try {
+        const uuid = await getMeetingUuid(req.params.meetingId);
+        setMeetingPolicy(uuid || req.params.meetingId, req.body);
+        res.json({ ...getBufferPolicies(), active: refreshBufferPolicies() });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+router.delete(
+    '/buffer-policies/meetings/:meetingId',
+    async (req, res, next) => {
+        try {
+            const uuid = await getMeetingUuid(req.params.meetingId);
+            // Drop both keys, the numeric one may have been linked to the UUID
+            const deleted = [req.params.meetingId, uuid]
+                .filter(Boolean)
+                .map((id) => deleteMeetingPolicy(id))
+                .some(Boolean);
+            if (!deleted) {
+                return res
+                    .status(404)
+                    .json({ error: 'no override for meeting' });
+            }
+            res.json({
+                ...getBufferPolicies(),
+                active: refreshBufferPolicies(),
+            });
+        } catch (e) {
+            next(handleError(e));
+        }
+    }
+);
+
+export default router;
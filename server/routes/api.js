@@ -1,17 +1,36 @@
 import express from 'express';
 import { handleError, sanitize } from '../helpers/routing.js';
 import {
+    getActionItem,
+    getActionItems,
+    getMeetingSummary,
     getSpeakerContext,
+    getSpeakerContextHistory,
     semanticSearch,
     esClient,
 } from '../helpers/elasticsearch.js';
+import { translate } from '../helpers/translation.js';
+import { completeStructured } from '../helpers/structured-output.js';
+import { chatAnswerSchema } from '../helpers/llm-schemas.js';
+import { languageName, requestLanguage } from '../helpers/languages.js';
+import { getAttendance } from '../helpers/attendance.js';
+import {
+    createActionItem,
+    dismissActionItem,
+    ITEM_STATUSES,
+    ITEM_TYPES,
+    updateActionItem,
+} from '../helpers/action-items.js';
+import { getSpeakerAnalytics } from '../helpers/speaker-analytics.js';
 import { getMeetingUuid } from './webhook.js';
 
 const router = express.Router();
 
 /**
  * Feature 1: Get speaker context (generated summary)
- * GET /api/speaker/:speakerId/context?meetingId=XXX
+ * GET /api/speaker/:speakerId/context?meetingId=XXX[&lang=es]
+ * With ?lang= the summary is also returned translated, unless its language
+ * is unknown
  */
 router.get('/speaker/:speakerId/context', async (req, res, next) => {
     try {
@@ -38,7 +57,53 @@ router.get('/speaker/:speakerId/context', async (req, res, next) => {
             });
         }
 
-        res.json(context);
+        const language = requestLanguage(req);
+        if (!language || !context.language || language === context.language) {
+            return res.json(context);
+        }
+
+        try {
+            const summary = await translate(
+                context.context_summary,
+                language,
+                context.language
+            );
+            res.json({ ...context, translation: { language, summary } });
+        } catch (inferenceError) {
+            console.warn('Summary translation failed:', inferenceError.message);
+            res.json(context);
+        }
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Every revision of a speaker's summary, oldest first, with when it was
+ * written and the span of speech it added
+ * GET /api/speaker/:speakerId/context/history?meetingId=XXX
+ */
+router.get('/speaker/:speakerId/context/history', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { speakerId } = req.params;
+        const { meetingId } = req.query;
+
+        if (!meetingId) {
+            return res.status(400).json({ error: 'meetingId required' });
+        }
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        const revisions = await getSpeakerContextHistory(speakerId, queryId);
+        res.json({
+            speaker_id: speakerId,
+            meeting_id: meetingId,
+            count: revisions.length,
+            revisions,
+        });
     } catch (e) {
         next(handleError(e));
     }
@@ -47,7 +112,7 @@ router.get('/speaker/:speakerId/context', async (req, res, next) => {
 /**
  * Feature 2: Chat with speaker context
  * POST /api/chat/:speakerId
- * Body: { question: string, meetingId: string }
+ * Body: { question: string, meetingId: string, language?: string }
  */
 router.post('/chat/:speakerId', async (req, res, next) => {
     try {
@@ -83,33 +148,31 @@ router.post('/chat/:speakerId', async (req, res, next) => {
         }
 
         const chunksText = relevantChunks
-            .map((c) => c.text)
+            .map((c) => (c.source === 'chat' ? `[chat] ${c.text}` : c.text))
             .join('\n---\n')
             .substring(0, 3000);
 
-        // 3. Build prompt with summary + relevant chunks + question
+        // 3. Build prompt with summary + relevant chunks + question, answered
+        // in the user's language (the meeting may have been in another)
+        const language = requestLanguage(req, { acceptLanguage: true });
+        const answerIn = language
+            ? languageName(language)
+            : 'the language of the question';
         const prompt = `You are answering questions about what a speaker said in a meeting.
 
 ${summary ? `Speaker summary:\n${summary}\n\n` : ''}${
             chunksText ? `Relevant transcript excerpts:\n${chunksText}\n\n` : ''
         }Question: ${question}
 
-Answer concisely based on the context provided.`;
+Answer concisely based on the context provided, in "answer". Answer in ${answerIn}.`;
 
         // 4. Call Anthropic via ES inference
         try {
-            const completion = await esClient.transport.request({
-                method: 'POST',
-                path: '/_inference/completion/anthropic_completion',
-                body: { input: prompt },
-            });
-
-            res.json({
-                answer:
-                    completion.completion?.[0]?.result ||
-                    'No response generated',
-                speaker_id: speakerId,
-            });
+            const { answer } = await completeStructured(
+                prompt,
+                chatAnswerSchema
+            );
+            res.json({ answer, speaker_id: speakerId });
         } catch (inferenceError) {
             console.warn(
                 'Inference endpoint not configured:',
@@ -155,11 +218,18 @@ router.post('/semantic-search', async (req, res, next) => {
             res.json({
                 query,
                 results: results.map((r) => ({
+                    source: r.source,
                     text: r.text,
                     speaker_names: r.speaker_names,
                     start_time: r.start_time,
                     end_time: r.end_time,
                     chunk_id: r.chunk_id,
+                    chunk_seq: r.chunk_seq,
+                    prev_chunk_id: r.prev_chunk_id,
+                    sender_name: r.sender_name,
+                    timestamp: r.timestamp,
+                    message_id: r.message_id,
+                    language: r.language,
                     score: r.score,
                 })),
             });
@@ -205,6 +275,223 @@ router.get('/meeting/:meetingId/speakers', async (req, res, next) => {
     }
 });
 
+/**
+ * Who attended a meeting and for how long
+ * GET /api/meeting/:meetingId/attendance
+ */
+router.get('/meeting/:meetingId/attendance', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingId } = req.params;
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        const participants = await getAttendance(queryId);
+        res.json({
+            meeting_id: meetingId,
+            total: participants.length,
+            participants,
+        });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Talk time, share of voice, turns, longest monologue and interruptions
+ * per speaker, plus the active-speaker timeline they were computed from
+ * GET /api/meeting/:meetingId/analytics
+ */
+router.get('/meeting/:meetingId/analytics', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingId } = req.params;
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        const analytics = await getSpeakerAnalytics(queryId);
+        if (!analytics) {
+            return res
+                .status(404)
+                .json({ error: 'No speaker analytics for this meeting' });
+        }
+
+        res.json({ ...analytics, meeting_id: meetingId });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Rolling meeting summary: overview, key discussion points and open
+ * questions, updated as the transcript is chunked
+ * GET /api/meeting/:meetingId/summary[?lang=es]
+ * With ?lang= the sections are also returned translated, unless their
+ * language is unknown
+ */
+router.get('/meeting/:meetingId/summary', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingId } = req.params;
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        const summary = await getMeetingSummary(queryId);
+        if (!summary) {
+            return res
+                .status(404)
+                .json({ error: 'No summary available yet for this meeting' });
+        }
+
+        const language = requestLanguage(req);
+        if (!language || !summary.language || language === summary.language) {
+            return res.json(summary);
+        }
+
+        try {
+            // One request per section; list items go one per line
+            const [overview, keyPoints, openQuestions] = await Promise.all(
+                [
+                    summary.overview,
+                    summary.key_points.join('\n'),
+                    summary.open_questions.join('\n'),
+                ].map((text) => translate(text, language, summary.language))
+            );
+            const lines = (text) =>
+                text
+                    .split('\n')
+                    .map((line) => line.trim())
+                    .filter(Boolean);
+            res.json({
+                ...summary,
+                translation: {
+                    language,
+                    overview,
+                    key_points: lines(keyPoints),
+                    open_questions: lines(openQuestions),
+                },
+            });
+        } catch (inferenceError) {
+            console.warn('Summary translation failed:', inferenceError.message);
+            res.json(summary);
+        }
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Action items and decisions of a meeting, oldest first
+ * GET /api/meeting/:meetingId/action-items[?type=action|decision][&status=open|done|dismissed]
+ */
+router.get('/meeting/:meetingId/action-items', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingId } = req.params;
+        const { type, status } = req.query;
+
+        if (type && !ITEM_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: `type must be one of ${ITEM_TYPES.join(', ')}`,
+            });
+        }
+        if (status && !ITEM_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: `status must be one of ${ITEM_STATUSES.join(', ')}`,
+            });
+        }
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        const items = await getActionItems(queryId, { type, status });
+        res.json({ meeting_id: meetingId, count: items.length, items });
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Add an action item or decision by hand
+ * POST /api/meeting/:meetingId/action-items
+ * Body: { text: string, type?: 'action'|'decision', owner?: string,
+ *   due_date?: 'YYYY-MM-DD', status?: string }
+ */
+router.post('/meeting/:meetingId/action-items', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const { meetingId } = req.params;
+
+        // Translate numeric meeting ID → UUID
+        const uuid = await getMeetingUuid(meetingId);
+        const queryId = uuid || meetingId;
+
+        res.status(201).json(await createActionItem(queryId, req.body));
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Get one action item or decision
+ * GET /api/action-items/:itemId
+ */
+router.get('/action-items/:itemId', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const item = await getActionItem(req.params.itemId);
+        if (!item) {
+            return res.status(404).json({ error: 'action item not found' });
+        }
+        res.json(item);
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Correct an item or change its status. Corrected fields are no longer
+ * updated from the transcript.
+ * PATCH /api/action-items/:itemId
+ * Body: any of { text, type, owner, due_date, status }
+ */
+router.patch('/action-items/:itemId', async (req, res, next) => {
+    try {
+        sanitize(req);
+        const item = await updateActionItem(req.params.itemId, req.body);
+        if (!item) {
+            return res.status(404).json({ error: 'action item not found' });
+        }
+        res.json(item);
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
+/**
+ * Remove an item, e.g. one extracted by mistake. It is kept with status
+ * 'dismissed' so later mentions in the transcript don't bring it back.
+ * DELETE /api/action-items/:itemId
+ */
+router.delete('/action-items/:itemId', async (req, res, next) => {
+    try {
+        sanitize(req);
+        if (!(await dismissActionItem(req.params.itemId))) {
+            return res.status(404).json({ error: 'action item not found' });
+        }
+        res.status(204).end();
+    } catch (e) {
+        next(handleError(e));
+    }
+});
+
 /**
  * Get all chunks for a meeting (debugging/demo)
  * GET /api/chunks/:meetingId
@@ -221,7 +508,12 @@ router.get('/chunks/:meetingId', async (req, res, next) => {
         const result = await esClient.search({
             index: 'transcript_chunks',
             query: { match: { meeting_id: queryId } },
-            sort: [{ start_time: 'asc' }],
+            // Overlapping chunks start before the previous one ends
+            sort: [
+                { chunk_seq: { order: 'asc', unmapped_type: 'integer' } },
+                { start_time: 'asc' },
+            ],
+            _source_excludes: ['text_analyzed'],
             size: 1000,
         });
 
@@ -2,7 +2,10 @@ import express from 'express';
 import { handleError, sanitize } from '../helpers/routing.js';
 import { contextHeader, getAppContext } from '../helpers/cipher.js';
 import { getInstallURL } from '../helpers/zoom-api.js';
-import { semanticSearch, esClient } from '../helpers/elasticsearch.js';
+import { semanticSearch } from '../helpers/elasticsearch.js';
+import { completeStructured } from '../helpers/structured-output.js';
+import { chatAnswerSchema } from '../helpers/llm-schemas.js';
+import { languageName, requestLanguage } from '../helpers/languages.js';
 // Agent network (parked — requires Kibana 9.2 + working Agent Builder)
 // import { handleUserChat } from '../helpers/agent-manager.js';
 
@@ -19,6 +22,14 @@ function isContextExpired(context) {
     return context.exp && context.exp < currentTime;
 }
 
+// Who a semantic search hit came from: chunk speakers or the chat sender
+function resultLabel(result) {
+    if (result.source === 'chat') {
+        return `${result.sender_name || 'Unknown'} (chat)`;
+    }
+    return result.speaker_names?.join(', ') || 'Unknown';
+}
+
 router.get('/', async (req, res, next) => {
     try {
         sanitize(req);
@@ -71,6 +82,7 @@ router.post('/chat', async (req, res, next) => {
         sanitize(req);
 
         const { message } = req.body;
+        const language = requestLanguage(req, { acceptLanguage: true });
 
         if (!message || typeof message !== 'string' || message.trim() === '') {
             return res
@@ -87,14 +99,15 @@ router.post('/chat', async (req, res, next) => {
         }
 
         const chunksText = relevantChunks
-            .map(
-                (c) =>
-                    `[${c.speaker_names?.join(', ') || 'Unknown'}]: ${c.text}`
-            )
+            .map((c) => `[${resultLabel(c)}]: ${c.text}`)
             .join('\n---\n')
             .substring(0, 4000);
 
-        // 2. Build prompt with context + question
+        // 2. Build prompt with context + question, answered in the user's
+        // language (excerpts may be in any meeting language)
+        const answerIn = language
+            ? languageName(language)
+            : 'the language of the question';
         const prompt = `You are an AI assistant helping a meeting participant understand what's being discussed in their current meeting. Answer questions based on the transcript excerpts provided.
 
 ${
@@ -103,18 +116,14 @@ ${
         : 'No transcript data available yet.\n\n'
 }Question: ${message}
 
-Answer concisely and helpfully based on the meeting context provided. If there is no relevant context, say so.`;
+Answer concisely and helpfully based on the meeting context provided, in "answer". If there is no relevant context, say so. Answer in ${answerIn}.`;
 
         // 3. Call Anthropic via ES inference
         try {
-            const completion = await esClient.transport.request({
-                method: 'POST',
-                path: '/_inference/completion/anthropic_completion',
-                body: { input: prompt },
-            });
-
-            const answer =
-                completion.completion?.[0]?.result || 'No response generated.';
+            const { answer } = await completeStructured(
+                prompt,
+                chatAnswerSchema
+            );
 
             return res.json({ success: true, response: answer });
         } catch (inferenceError) {
@@ -122,12 +131,7 @@ Answer concisely and helpfully based on the meeting context provided. If there i
 
             if (relevantChunks.length > 0) {
                 const fallback = relevantChunks
-                    .map(
-                        (c) =>
-                            `${c.speaker_names?.join(', ') || 'Unknown'}: "${
-                                c.text
-                            }"`
-                    )
+                    .map((c) => `${resultLabel(c)}: "${c.text}"`)
                     .join('\n\n');
                 return res.json({
                     success: true,
@@ -2,49 +2,14 @@ import express from 'express';
 import { WebSocketServer } from 'ws';
 import debug from 'debug';
 import { appName } from '../../config.js';
-import { insertTranscriptChunk } from '../helpers/elasticsearch.js';
 import {
-    getOrCreateBuffer,
-    destroyBuffer,
-} from '../helpers/transcript-buffer.js';
-import { summarizeSpeaker } from '../helpers/summarizer.js';
+    endMeeting,
+    ingestTranscript,
+} from '../helpers/transcript-pipeline.js';
 
 const router = express.Router();
 const dbg = debug(`${appName}:rtms`);
 
-// Track which meetings have buffer events wired
-const wiredMeetings = new Set();
-
-function wireBufferEvents(meetingId) {
-    if (wiredMeetings.has(meetingId)) return;
-    wiredMeetings.add(meetingId);
-
-    const buffer = getOrCreateBuffer(meetingId);
-
-    buffer.on('chunk', async (chunkData) => {
-        try {
-            await insertTranscriptChunk(chunkData);
-        } catch (err) {
-            console.error('❌ Error inserting chunk:', err.message);
-        }
-    });
-
-    buffer.on('summarize', async (summaryData) => {
-        try {
-            const result = await summarizeSpeaker(summaryData);
-            console.log(
-                `📝 Speaker summary updated: ${
-                    summaryData.speakerName
-                }\n   Topics: ${result.topics.join(', ')}\n   Summary: ${
-                    result.summary
-                }`
-            );
-        } catch (err) {
-            console.error('❌ Error summarizing speaker:', err.message);
-        }
-    });
-}
-
 /**
  * Initialize WebSocket server for RTMS
  * @param {http.Server} server - HTTP server instance
@@ -65,7 +30,6 @@ export function initializeRTMSWebSocket(server) {
         }
 
         dbg(`✅ RTMS WebSocket connected for meeting: ${meetingId}`);
-        wireBufferEvents(meetingId);
 
         ws.on('message', async (data) => {
             try {
@@ -76,8 +40,9 @@ export function initializeRTMSWebSocket(server) {
                     }`
                 );
 
-                const buffer = getOrCreateBuffer(meetingId);
-                buffer.append({
+                ingestTranscript({
+                    meetingId,
+                    productType: transcript.product_type,
                     speakerId:
                         transcript.speaker_id ||
                         String(transcript.userId || 'unknown'),
@@ -86,7 +51,7 @@ export function initializeRTMSWebSocket(server) {
                         transcript.userName ||
                         'Unknown',
                     text: transcript.text,
-                    timestamp: new Date().toISOString(),
+                    sourceTimestamp: transcript.timestamp,
                 });
             } catch (error) {
                 console.error('Error processing RTMS message:', error);
@@ -95,8 +60,7 @@ export function initializeRTMSWebSocket(server) {
 
         ws.on('close', () => {
             dbg(`🔌 RTMS WebSocket closed for meeting: ${meetingId}`);
-            destroyBuffer(meetingId);
-            wiredMeetings.delete(meetingId);
+            endMeeting(meetingId);
         });
 
         ws.on('error', (error) => {
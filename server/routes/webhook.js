@@ -1,18 +1,53 @@
 import express from 'express';
 import crypto from 'crypto';
 import debug from 'debug';
-import { appName, zmSecretToken, zoomApp } from '../../config.js';
+import {
+    appName,
+    asrLanguage,
+    asrProvider,
+    audioRecordDir,
+    audioRecordPerSpeaker,
+    rtmsRecordDir,
+    videoRecordDir,
+    videoRecordMeetings,
+    zmSecretToken,
+    zoomApp,
+} from '../../config.js';
 import { RTMSManager } from '../rtmsManager/index.js';
 import {
-    insertTranscriptChunk,
-    insertSpeakerTranscript,
     esClient,
+    setMeetingEnded,
+    upsertMeeting,
 } from '../helpers/elasticsearch.js';
 import {
-    getOrCreateBuffer,
-    destroyBuffer,
-} from '../helpers/transcript-buffer.js';
-import { summarizeSpeaker } from '../helpers/summarizer.js';
+    endMeeting,
+    ingestChat,
+    ingestTranscript,
+} from '../helpers/transcript-pipeline.js';
+import { verifyZoomWebhook } from '../helpers/webhook-auth.js';
+import { createAsrTranscriber } from '../helpers/asr/index.js';
+import { linkMeetingPolicy } from '../helpers/buffer-policies.js';
+import {
+    finalizeAudioRecording,
+    recordAudio,
+} from '../helpers/audio-recorder.js';
+import {
+    finalizeVideoRecording,
+    recordVideo,
+    startVideoRecording,
+} from '../helpers/video-recorder.js';
+import {
+    endAttendance,
+    recordParticipantEvent,
+} from '../helpers/attendance.js';
+import {
+    endSpeakerAnalytics,
+    recordActiveSpeaker,
+} from '../helpers/speaker-analytics.js';
+import {
+    journalWebhook,
+    recordWebhookOutcome,
+} from '../helpers/webhook-journal.js';
 // Agent network (parked — requires working Kibana Agent Builder)
 // import { ensureAgentExists } from '../helpers/agent-manager.js';
 
@@ -21,9 +56,52 @@ const dbg = debug(`${appName}:webhook`);
 
 let rtmsInitialized = false;
 
+// Local speech-to-text replaces Zoom's transcript when ASR_PROVIDER is set
+const asr = asrProvider
+    ? createAsrTranscriber(asrProvider, { language: asrLanguage })
+    : null;
+
 // Map numeric meeting ID → UUID (in-memory cache, backed by ES)
 const meetingIdToUuid = new Map();
 
+// RTMS webhook event prefix → product type and the payload fields holding
+// the user-facing ID and the ID RTMSManager keys its streams on (the "UUID").
+// Video SDK, contact center and phone only carry one ID, so it maps to itself.
+const RTMS_PRODUCTS = {
+    meeting: {
+        productType: 'meeting',
+        idField: 'meeting_id',
+        uuidField: 'meeting_uuid',
+    },
+    webinar: {
+        productType: 'webinar',
+        idField: 'webinar_id',
+        uuidField: 'webinar_uuid',
+    },
+    session: {
+        productType: 'videoSdk',
+        idField: 'session_id',
+        uuidField: 'session_id',
+    },
+    contactcenter: {
+        productType: 'contactCenter',
+        idField: 'session_id',
+        uuidField: 'session_id',
+    },
+    phone: { productType: 'phone', idField: 'call_id', uuidField: 'call_id' },
+};
+
+/**
+ * Pull the user-facing ID and UUID for an RTMS product out of a webhook payload
+ * Fields may sit on payload.object or directly on the payload
+ */
+function getRtmsIds(product, payload) {
+    const fields = payload?.object || payload || {};
+    const numericId = fields[product.idField] ?? payload?.[product.idField];
+    const uuid = fields[product.uuidField] ?? payload?.[product.uuidField];
+    return { numericId, uuid };
+}
+
 export async function getMeetingUuid(numericId) {
     const key = String(numericId);
 
@@ -63,28 +141,73 @@ export async function getMeetingUuid(numericId) {
     return null;
 }
 
-export async function cacheMeetingMapping(numericId, uuid) {
+export async function cacheMeetingMapping(
+    numericId,
+    uuid,
+    productType = 'meeting'
+) {
     const key = String(numericId);
     meetingIdToUuid.set(key, uuid);
     try {
-        await esClient.index({
-            index: 'meetings',
-            id: key,
-            document: {
-                meeting_id: key,
-                meeting_uuid: uuid,
-                start_time: new Date().toISOString(),
-                status: 'active',
-            },
+        const result = await upsertMeeting({
+            meeting_id: key,
+            meeting_uuid: uuid,
+            product_type: productType,
+            start_time: new Date().toISOString(),
+            status: 'active',
         });
         console.log(
-            `📌 Auto-discovered mapping persisted: "${key}" → "${uuid}"`
+            `📌 ${productType} mapping ${
+                result.result === 'queued' ? 'queued for ES' : 'persisted to ES'
+            }: "${key}" → "${uuid}"`
         );
     } catch (err) {
-        console.warn('Failed to persist auto-discovered mapping:', err.message);
+        console.warn(
+            `Failed to persist ${productType} mapping to ES:`,
+            err.message
+        );
     }
 }
 
+/**
+ * Feed a transcript event (RTMSManager or ASR, same shape) into the pipeline
+ */
+function handleTranscript(eventData) {
+    console.log(
+        `📝 TRANSCRIPT [${eventData.userName || 'Unknown'}]: ${
+            eventData.text || '(empty)'
+        }`
+    );
+
+    const meetingId = String(eventData.meetingId);
+    const speakerId = String(eventData.userId || 'unknown');
+    const speakerName = eventData.userName || 'Unknown';
+
+    console.log(
+        `📝 Transcript eventData.meetingId = "${meetingId}" (type: ${typeof eventData.meetingId})`
+    );
+    ingestTranscript({
+        meetingId,
+        productType: eventData.productType || 'meeting',
+        speakerId,
+        speakerName,
+        text: eventData.text,
+        sourceTimestamp: eventData.timestamp,
+        startTime: eventData.startTime,
+        endTime: eventData.endTime,
+        language: eventData.language,
+        isFinal: eventData.isFinal !== false,
+    });
+
+    // Agent network (parked — uncomment when Kibana Agent Builder is ready)
+    // ensureAgentExists(speakerId, speakerName).catch((err) =>
+    //     console.warn(
+    //         `⚠️  Agent creation deferred for ${speakerName}:`,
+    //         err.message
+    //     )
+    // );
+}
+
 /**
  * Initialize RTMSManager singleton on first use
  */
@@ -99,101 +222,196 @@ async function ensureRTMSInitialized() {
                 secretToken: zmSecretToken,
             },
         },
-        mediaTypes: RTMSManager.MEDIA.TRANSCRIPT,
+        mediaTypes:
+            (asr ? 0 : RTMSManager.MEDIA.TRANSCRIPT) |
+            RTMSManager.MEDIA.CHAT |
+            (audioRecordDir || asr ? RTMSManager.MEDIA.AUDIO : 0) |
+            (videoRecordDir ? RTMSManager.MEDIA.VIDEO : 0),
+        // Recordings need gap-filled media to stay in real time
+        enableRealTimeAudioVideoGapFiller: !!(audioRecordDir || videoRecordDir),
+        // Per-speaker audio when recording asks for it, and for ASR (so
+        // transcripts are attributed) unless a mixed recording is wanted
+        ...((audioRecordDir ? audioRecordPerSpeaker : asr) && {
+            mediaParams: {
+                audio: {
+                    dataOpt:
+                        RTMSManager.MEDIA_PARAMS
+                            .MEDIA_DATA_OPTION_AUDIO_MULTI_STREAMS,
+                },
+            },
+        }),
+        recordDir: rtmsRecordDir,
         logging: 'info',
     });
 
-    // Listen for transcript events from RTMSManager
-    RTMSManager.on('transcript', (eventData) => {
+    // Transcripts come from Zoom, or from our own ASR over the audio stream
+    if (asr) {
+        asr.on('transcript', handleTranscript);
+    } else {
+        RTMSManager.on('transcript', handleTranscript);
+    }
+
+    // In-meeting chat goes to its own index and into the speaker summaries
+    RTMSManager.on('chat', (eventData) => {
         console.log(
-            `📝 TRANSCRIPT [${eventData.userName || 'Unknown'}]: ${
-                eventData.text || '(empty)'
-            }`
+            `💬 CHAT [${eventData.userName || 'Unknown'}]: ${eventData.text}`
         );
 
-        const meetingId = String(eventData.meetingId);
-        const speakerId = String(eventData.userId || 'unknown');
-        const speakerName = eventData.userName || 'Unknown';
-        const timestamp = new Date().toISOString();
+        ingestChat({
+            meetingId: String(eventData.meetingId),
+            productType: eventData.productType || 'meeting',
+            speakerId: String(eventData.userId || 'unknown'),
+            speakerName: eventData.userName || 'Unknown',
+            text: eventData.text,
+            sourceTimestamp: eventData.timestamp,
+        });
+    });
 
+    // Join/leave intervals for the attendance timeline
+    RTMSManager.on('participant', (eventData) => {
         console.log(
-            `📝 RTMSManager eventData.meetingId = "${meetingId}" (type: ${typeof eventData.meetingId})`
+            `👥 ${eventData.action.toUpperCase()} [${
+                eventData.userName || 'Unknown'
+            }]`
         );
-        wireBufferEvents(meetingId);
-        const buffer = getOrCreateBuffer(meetingId);
+        recordParticipantEvent(eventData).catch((err) =>
+            console.error(
+                `❌ Attendance ${eventData.action} not recorded for ${
+                    eventData.userName || eventData.userId
+                }:`,
+                err.message
+            )
+        );
+    });
 
-        buffer.append({
-            speakerId,
-            speakerName,
-            text: eventData.text,
-            timestamp,
+    if (audioRecordDir || asr) {
+        RTMSManager.on('audio', (eventData) => {
+            const audioDetails =
+                RTMSManager.getAudioDetails(eventData.streamId) || {};
+            if (audioRecordDir) recordAudio(eventData, audioDetails);
+            if (asr) asr.pushAudio(eventData, audioDetails);
         });
+    }
 
-        // Write raw utterance to speaker_transcripts (agent knowledge base)
-        insertSpeakerTranscript({
-            speaker_id: speakerId,
-            speaker_name: speakerName,
-            meeting_id: meetingId,
-            text: eventData.text,
-            timestamp,
-        });
+    if (videoRecordDir) {
+        RTMSManager.on('video', (eventData) =>
+            recordVideo(
+                eventData,
+                RTMSManager.getVideoDetails(eventData.streamId) || {}
+            )
+        );
+    }
 
-        // Agent network (parked — uncomment when Kibana Agent Builder is ready)
-        // ensureAgentExists(speakerId, speakerName).catch((err) =>
-        //     console.warn(
-        //         `⚠️  Agent creation deferred for ${speakerName}:`,
-        //         err.message
-        //     )
-        // );
+    // Active speaker changes drive the talk-time analytics
+    RTMSManager.on('event', (eventData) => {
+        if (eventData.eventType !== 2) return;
+        recordActiveSpeaker({
+            meetingId: String(eventData.meetingId),
+            productType: eventData.productType || 'meeting',
+            speakerId: String(eventData.data.user_id ?? 'unknown'),
+            speakerName: eventData.data.user_name || 'Unknown',
+            timestamp: eventData.timestamp,
+        });
     });
 
     rtmsInitialized = true;
-    console.log('✅ RTMSManager initialized for transcript capture');
+    console.log('✅ RTMSManager initialized for transcript and chat capture');
 }
 
 /**
- * Wire buffer events for a meeting (idempotent — checks if already wired)
+ * Dispatch a webhook event into the RTMS pipeline.
+ * Used for live webhooks and for replaying journaled ones.
+ * @param {String} event - Zoom event name
+ * @param {Object} payload - Zoom event payload
+ * @return {Promise<String>} Outcome: dispatched | ignored
  */
-const wiredMeetings = new Set();
+export async function dispatchWebhookEvent(event, payload) {
+    const [prefix, action] = String(event).split('.');
+    const product = RTMS_PRODUCTS[prefix];
+    if (!product || !['rtms_started', 'rtms_stopped'].includes(action)) {
+        return 'ignored';
+    }
 
-function wireBufferEvents(meetingId) {
-    if (wiredMeetings.has(meetingId)) return;
-    wiredMeetings.add(meetingId);
+    // Initialize RTMSManager if needed
+    await ensureRTMSInitialized();
 
-    const buffer = getOrCreateBuffer(meetingId);
+    const { numericId, uuid } = getRtmsIds(product, payload);
+    let cleanupId = null;
 
-    buffer.on('chunk', async (chunkData) => {
-        try {
-            await insertTranscriptChunk(chunkData);
-        } catch (err) {
-            console.error('❌ Error inserting chunk:', err.message);
-        }
-    });
+    // Forward event to RTMSManager — it handles the RTMS connection lifecycle
+    if (action === 'rtms_started') {
+        // Log the full payload.object so we can see all available fields
+        console.log(
+            `📦 ${event} payload.object keys:`,
+            Object.keys(payload?.object || {}),
+            JSON.stringify(payload?.object, null, 2)
+        );
 
-    buffer.on('summarize', async (summaryData) => {
-        try {
-            const result = await summarizeSpeaker(summaryData);
+        // Capture ID → UUID mapping (persisted to ES, survives server restarts)
+        if (numericId && uuid) {
+            console.log(
+                `📌 ${product.productType} ID mapping cached: "${numericId}" → "${uuid}"`
+            );
+            await cacheMeetingMapping(numericId, uuid, product.productType);
+            linkMeetingPolicy(String(numericId), String(uuid));
+        } else {
             console.log(
-                `📝 Speaker summary updated: ${
-                    summaryData.speakerName
-                }\n   Topics: ${result.topics.join(', ')}\n   Summary: ${
-                    result.summary
-                }`
+                `⚠️ RTMS started — missing fields! ${product.idField}=${numericId}, ${product.uuidField}=${uuid}`
             );
-        } catch (err) {
-            console.error('❌ Error summarizing speaker:', err.message);
+            console.log('⚠️ Full payload:', JSON.stringify(payload, null, 2));
         }
-    });
+
+        if (
+            videoRecordDir &&
+            uuid &&
+            (videoRecordMeetings.length === 0 ||
+                videoRecordMeetings.includes(String(numericId)) ||
+                videoRecordMeetings.includes(String(uuid)))
+        ) {
+            startVideoRecording(String(uuid), {
+                productType: product.productType,
+            });
+        }
+    } else {
+        // Pipeline buffers are keyed by UUID; they're flushed further down
+        cleanupId = meetingIdToUuid.get(String(numericId)) || uuid || numericId;
+        // Clean up the mapping too
+        if (numericId) {
+            meetingIdToUuid.delete(String(numericId));
+        }
+    }
+
+    dbg(`Forwarding ${event} to RTMSManager`);
+    RTMSManager.handleEvent(event, payload);
+
+    // Stopping the stream closed open attendance intervals and flushed the
+    // audio fillers, so everything below sees the complete meeting
+    if (action === 'rtms_stopped' && uuid) {
+        await endAttendance(String(uuid));
+        await endSpeakerAnalytics(String(uuid));
+        const audio = await finalizeAudioRecording(String(uuid));
+        await finalizeVideoRecording(String(uuid), audio);
+        // Speech still buffered in the ASR becomes the last utterances
+        if (asr) await asr.endMeeting(String(uuid));
+        // Buffers of ended meetings aren't resumed after a restart
+        await setMeetingEnded(String(uuid));
+    }
+    if (cleanupId) {
+        await endMeeting(String(cleanupId));
+    }
+    return 'dispatched';
 }
 
 /**
  * POST /webhook
  * Receives Zoom webhook events (RTMS start/stop, URL validation)
+ * Requests must carry a valid x-zm-signature / x-zm-request-timestamp pair
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyZoomWebhook(), async (req, res) => {
     const { event, payload } = req.body;
 
     console.log(`🌐 WEBHOOK received: event="${event}"`);
+    const journalId = await journalWebhook(req);
 
     // Handle Zoom URL validation challenge
     if (event === 'endpoint.url_validation' && payload?.plainToken) {
@@ -203,6 +421,7 @@ router.post('/', async (req, res) => {
             .digest('hex');
 
         console.log('🌐 URL validation challenge responded');
+        recordWebhookOutcome(journalId, 'validated');
         return res.json({
             plainToken: payload.plainToken,
             encryptedToken: hash,
@@ -212,70 +431,12 @@ router.post('/', async (req, res) => {
     // Respond immediately to avoid Zoom retries
     res.status(200).json({ status: 'accepted' });
 
-    // Initialize RTMSManager if needed
-    await ensureRTMSInitialized();
-
-    // Forward event to RTMSManager — it handles the RTMS connection lifecycle
-    if (event === 'meeting.rtms_started') {
-        // Log the full payload.object so we can see all available fields
-        console.log(
-            '📦 meeting.rtms_started payload.object keys:',
-            Object.keys(payload?.object || {}),
-            JSON.stringify(payload?.object, null, 2)
-        );
-
-        // Capture numeric meeting ID → UUID mapping
-        // Payload fields: payload.object.meeting_id (numeric), payload.object.meeting_uuid (base64)
-        const numericId = payload?.object?.meeting_id;
-        const uuid = payload?.object?.meeting_uuid;
-        if (numericId && uuid) {
-            meetingIdToUuid.set(String(numericId), uuid);
-            console.log(
-                `📌 Meeting ID mapping cached: "${numericId}" → "${uuid}"`
-            );
-
-            // Persist to ES meetings index (survives server restarts)
-            try {
-                await esClient.index({
-                    index: 'meetings',
-                    id: String(numericId),
-                    document: {
-                        meeting_id: String(numericId),
-                        meeting_uuid: uuid,
-                        start_time: new Date().toISOString(),
-                        status: 'active',
-                    },
-                });
-                console.log(`📌 Meeting ID mapping persisted to ES`);
-            } catch (esErr) {
-                console.error(
-                    '❌ Failed to persist meeting mapping to ES:',
-                    esErr.message
-                );
-            }
-        } else {
-            console.log(
-                `⚠️ RTMS started — missing fields! meeting_id=${numericId}, meeting_uuid=${uuid}`
-            );
-            console.log('⚠️ Full payload:', JSON.stringify(payload, null, 2));
-        }
-        dbg(`Forwarding ${event} to RTMSManager`);
-        RTMSManager.handleEvent(event, payload);
-    } else if (event === 'meeting.rtms_stopped') {
-        // Clean up using UUID (buffers/wiredMeetings are keyed by UUID)
-        const numericId = payload?.object?.meeting_id;
-        const uuid = meetingIdToUuid.get(String(numericId));
-        const cleanupId = uuid || numericId;
-        if (cleanupId) {
-            destroyBuffer(String(cleanupId));
-            wiredMeetings.delete(String(cleanupId));
-        }
-        // Clean up the mapping too
-        if (numericId) {
-            meetingIdToUuid.delete(String(numericId));
-        }
-        dbg(`Forwarding ${event} to RTMSManager`);
-        RTMSManager.handleEvent(event, payload);
+    try {
+        const outcome = await dispatchWebhookEvent(event, payload);
+        recordWebhookOutcome(journalId, outcome);
+    } catch (err) {
+        console.error(`❌ Error handling webhook ${event}:`, err.message);
+        recordWebhookOutcome(journalId, 'error', err.message);
     }
 });
 
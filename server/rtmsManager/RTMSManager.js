@@ -39,6 +39,21 @@ const PRESETS = Object.freeze({
             },
         },
     },
+    /** Per-speaker audio - one audio stream per participant (multi-stream) */
+    AUDIO_PER_SPEAKER: {
+        mediaTypes: MEDIA.AUDIO,
+        mediaParams: {
+            audio: {
+                contentType: RTMS_MEDIA_PARAMS.MEDIA_CONTENT_TYPE_RTP,
+                sampleRate: RTMS_MEDIA_PARAMS.AUDIO_SAMPLE_RATE_SR_16K,
+                channel: RTMS_MEDIA_PARAMS.AUDIO_CHANNEL_MONO,
+                codec: RTMS_MEDIA_PARAMS.MEDIA_PAYLOAD_TYPE_L16,
+                dataOpt:
+                    RTMS_MEDIA_PARAMS.MEDIA_DATA_OPTION_AUDIO_MULTI_STREAMS,
+                sendRate: 100,
+            },
+        },
+    },
     /** Transcription - audio + transcript for real-time captions */
     TRANSCRIPTION: {
         mediaTypes: MEDIA.AUDIO | MEDIA.TRANSCRIPT,
@@ -547,6 +562,7 @@ export class RTMSManager extends EventEmitter {
                 clientId: handler.clientId,
                 mediaConfig: handler.mediaConfig,
                 pingRtt: handler.pingRtt,
+                participants: handler.getParticipants(),
             });
 
             this.connectionManager.remove(streamId);
@@ -710,6 +726,21 @@ export class RTMSManager extends EventEmitter {
         const metadata = RTMSManager.getStreamMetadata(streamId);
         return metadata ? metadata.pingRtt : -1;
     }
+
+    /**
+     * Get the participant roster for a stream (active or archived)
+     * @param {string} streamId
+     * @returns {Array<Object>|null} [{ userId, userName, present, intervals, totalMs }]
+     */
+    static getParticipants(streamId) {
+        if (!RTMSManager.#instance) return null;
+
+        const active = RTMSManager.instance.connectionManager.get(streamId);
+        if (active) return active.getParticipants();
+
+        const history = RTMSManager.instance.streamHistory.get(streamId);
+        return history ? history.participants : null;
+    }
 }
 
 export default RTMSManager;
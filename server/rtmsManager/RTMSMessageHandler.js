@@ -8,6 +8,11 @@ import {
     getRtmsStatusCode,
 } from './utils/rtmsEventLookupHelper.js';
 import { FileLogger } from './utils/FileLogger.js';
+import { RTMS_MEDIA_PARAMS } from './utils/rtmsMediaParams.js';
+import { SessionRecorder } from './utils/SessionRecorder.js';
+
+// Media times below this (~2001-09-09 in epoch ms) are stream offsets
+const EPOCH_MS_THRESHOLD = 1e12;
 
 export class RTMSMessageHandler {
     /**
@@ -81,7 +86,15 @@ export class RTMSMessageHandler {
         this.mediaConfig = {};
         this.pingRtt = -1;
 
-        this.audioFiller = null;
+        // Roster from PARTICIPANT_JOIN/LEAVE, keyed by String(userId)
+        this.participants = new Map();
+
+        // Audio fillers keyed by user ID ('mixed' unless multi-stream audio),
+        // created on the first packet from each user
+        this.audioFillers = new Map();
+        this.audioMultiStream =
+            this.config.mediaParams?.audio?.data_opt ===
+            RTMS_MEDIA_PARAMS.MEDIA_DATA_OPTION_AUDIO_MULTI_STREAMS;
         this.videoFiller = null;
 
         if (this.config.useFiller) {
@@ -99,13 +112,6 @@ export class RTMSMessageHandler {
                 );
             }
 
-            this.audioFiller = new MediaAudioFiller(
-                this.rtmsId,
-                this.streamId,
-                'mixed',
-                this.startTime,
-                audioParams || {}
-            );
             this.videoFiller = new MediaVideoFiller(
                 this.rtmsId,
                 this.streamId,
@@ -115,19 +121,6 @@ export class RTMSMessageHandler {
             );
 
             // Filler emits event objects
-            this.audioFiller.on('data', (chunk, uid, ts, mid, sid) => {
-                this.emit('audio', {
-                    type: 'audio',
-                    buffer: chunk,
-                    userId: uid,
-                    userName: 'Mixed Audio',
-                    timestamp: ts,
-                    meetingId: mid,
-                    streamId: sid,
-                    productType: this.rtmsType,
-                });
-            });
-
             this.videoFiller.on('data', (chunk, uid, ts, mid, sid) => {
                 this.emit('video', {
                     type: 'video',
@@ -142,7 +135,61 @@ export class RTMSMessageHandler {
             });
         }
 
-        this.connect();
+        // Raw message capture for later replay (see SessionPlayer)
+        this.recorder = this.config.recordDir
+            ? new SessionRecorder(this.config.recordDir, {
+                  rtmsId: this.rtmsId,
+                  rtmsType: this.rtmsType,
+                  streamId: this.streamId,
+                  startTime: this.startTime,
+                  mediaTypesFlag: this.mediaTypesFlag,
+                  mediaParams: this.config.mediaParams,
+              })
+            : null;
+
+        // SessionPlayer feeds recorded messages in directly - no sockets
+        if (!this.config.replay) {
+            this.connect();
+        }
+    }
+
+    /**
+     * Gap filler for an audio packet's user, created on first use.
+     * Mixed audio shares one filler; multi-stream audio gets one per user,
+     * each synced to that user's own packet timestamps.
+     * @param {number|string} userId
+     * @param {string} userName
+     * @returns {MediaAudioFiller|null} null when useFiller is off
+     */
+    getAudioFiller(userId, userName) {
+        if (!this.config.useFiller) return null;
+
+        const key = this.audioMultiStream ? String(userId) : 'mixed';
+        let filler = this.audioFillers.get(key);
+        if (filler) return filler;
+
+        filler = new MediaAudioFiller(
+            this.rtmsId,
+            this.streamId,
+            this.audioMultiStream ? userId : 'mixed',
+            this.startTime,
+            this.config.mediaParams?.audio || {}
+        );
+        const fillerUserName = this.audioMultiStream ? userName : 'Mixed Audio';
+        filler.on('data', (chunk, uid, ts, mid, sid) => {
+            this.emit('audio', {
+                type: 'audio',
+                buffer: chunk,
+                userId: uid,
+                userName: fillerUserName,
+                timestamp: ts,
+                meetingId: mid,
+                streamId: sid,
+                productType: this.rtmsType,
+            });
+        });
+        this.audioFillers.set(key, filler);
+        return filler;
     }
 
     setPingRtt(rtt) {
@@ -163,10 +210,116 @@ export class RTMSMessageHandler {
         }
     }
 
+    /**
+     * Convert an RTMS media time to epoch ms. Transcript start/end times may be
+     * offsets from the stream's first packet rather than wall-clock times.
+     * @param {number|null} ts
+     * @returns {number|null} null for an offset received before the first
+     *   packet time (it arrives on the signaling socket and may come after
+     *   the first transcripts), so callers fall back to the packet timestamp
+     */
+    toStreamTime(ts) {
+        if (ts == null) return null;
+        if (ts < EPOCH_MS_THRESHOLD) {
+            if (this._firstPacketTimestamp === null) return null;
+            return this._firstPacketTimestamp + ts;
+        }
+        return ts;
+    }
+
     updateLastPacketTimestamp(ts) {
         this._lastPacketTimestamp = ts;
     }
 
+    /**
+     * Record a participant joining (PARTICIPANT_JOIN) and emit 'participant'
+     * @param {number|string} userId
+     * @param {string} userName
+     * @param {number} timestamp - Join time (ms)
+     */
+    participantJoined(userId, userName, timestamp) {
+        const key = String(userId);
+        let participant = this.participants.get(key);
+        if (!participant) {
+            participant = { userId, userName, present: false, intervals: [] };
+            this.participants.set(key, participant);
+        }
+        if (userName) participant.userName = userName;
+        if (participant.present) return;
+
+        participant.present = true;
+        participant.intervals.push({ joinedAt: timestamp, leftAt: null });
+        this._emitParticipant('join', participant);
+    }
+
+    /**
+     * Record a participant leaving (PARTICIPANT_LEAVE) and emit 'participant'
+     * @param {number|string} userId
+     * @param {string} userName
+     * @param {number} timestamp - Leave time (ms)
+     */
+    participantLeft(userId, userName, timestamp) {
+        const key = String(userId);
+        let participant = this.participants.get(key);
+        if (!participant) {
+            // Was already in the meeting before the stream started
+            participant = { userId, userName, present: true, intervals: [] };
+            participant.intervals.push({
+                joinedAt: this.startTime ?? timestamp,
+                leftAt: null,
+            });
+            this.participants.set(key, participant);
+        }
+        if (userName) participant.userName = userName;
+        if (!participant.present) return;
+
+        participant.present = false;
+        participant.intervals[participant.intervals.length - 1].leftAt =
+            timestamp;
+        this._emitParticipant('leave', participant);
+
+        // No more audio will arrive for this user; a rejoin gets a fresh filler
+        if (this.audioMultiStream && this.audioFillers.has(key)) {
+            this.audioFillers.get(key).stop(timestamp);
+            this.audioFillers.delete(key);
+        }
+    }
+
+    _emitParticipant(action, participant) {
+        const interval =
+            participant.intervals[participant.intervals.length - 1];
+        this.emit('participant', {
+            type: 'participant',
+            action,
+            userId: participant.userId,
+            userName: participant.userName,
+            joinedAt: interval.joinedAt,
+            leftAt: interval.leftAt,
+            timestamp: action === 'join' ? interval.joinedAt : interval.leftAt,
+            meetingId: this.rtmsId,
+            streamId: this.streamId,
+            productType: this.rtmsType,
+        });
+    }
+
+    /**
+     * Current roster with join/leave intervals
+     * @returns {Array<Object>} [{ userId, userName, present, intervals, totalMs }]
+     */
+    getParticipants() {
+        const now = Date.now();
+        return Array.from(this.participants.values()).map((p) => ({
+            userId: p.userId,
+            userName: p.userName,
+            present: p.present,
+            intervals: p.intervals.map((i) => ({ ...i })),
+            totalMs: p.intervals.reduce(
+                (sum, i) => sum + ((i.leftAt ?? now) - i.joinedAt),
+                0
+            ),
+        }));
+    }
+
     connect() {
         FileLogger.log(
             `[Handler:${this.streamId.slice(-8)}] Starting for ${
@@ -185,26 +338,44 @@ export class RTMSMessageHandler {
         );
     }
 
-    stop() {
+    /**
+     * @param {number} [endTime=Date.now()] - Stream end time; replays pass the recorded one
+     */
+    stop(endTime = Date.now()) {
         FileLogger.log(
             `[Handler:${this.streamId.slice(-8)}] Stopping for ${
                 this.rtmsType
             } ${this.rtmsId}`
         );
         this.shouldReconnect = false;
-        this._lastPacketTimestamp = Date.now();
+        this._lastPacketTimestamp = endTime;
+
+        // Everyone still present leaves when the stream ends
+        for (const participant of this.participants.values()) {
+            if (participant.present) {
+                this.participantLeft(
+                    participant.userId,
+                    participant.userName,
+                    endTime
+                );
+            }
+        }
 
         if (this._signalingReconnectTimer) {
             clearTimeout(this._signalingReconnectTimer);
             this._signalingReconnectTimer = null;
         }
 
-        if (this.audioFiller) {
-            this.audioFiller.stop(this._lastPacketTimestamp);
+        for (const filler of this.audioFillers.values()) {
+            filler.stop(this._lastPacketTimestamp);
         }
+        this.audioFillers.clear();
         if (this.videoFiller) {
             this.videoFiller.stop(this._lastPacketTimestamp);
         }
+        if (this.recorder) {
+            this.recorder.close();
+        }
 
         if (this.signaling.socket) {
             this.signaling.socket.close();
@@ -0,0 +1,208 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import readline from 'readline';
+import WebSocket from 'ws';
+import { RTMSMessageHandler } from './RTMSMessageHandler.js';
+import { handleSignalingMessage } from './signalingSocketMessageHandler.js';
+import { handleMediaMessage } from './mediaSocketMessageHandler.js';
+import { FileLogger } from './utils/FileLogger.js';
+import { RTMSError } from './utils/RTMSError.js';
+
+/**
+ * Stand-in for a Zoom socket during replay: accepts sends and closes, goes nowhere
+ */
+class ReplaySocket extends EventEmitter {
+    constructor(label) {
+        super();
+        this.label = label;
+        this.readyState = WebSocket.OPEN;
+        this.sent = 0;
+    }
+
+    send() {
+        this.sent++;
+    }
+
+    close() {
+        if (this.readyState === WebSocket.CLOSED) return;
+        this.readyState = WebSocket.CLOSED;
+        this.emit('close');
+    }
+}
+
+/**
+ * SessionPlayer
+ * Replays a SessionRecorder file through handleSignalingMessage /
+ * handleMediaMessage, so a captured meeting produces the same events
+ * ('transcript', 'audio', 'event', ...) as it did live.
+ *
+ * No network connections are made: a successful signaling handshake response
+ * is applied to the connection state instead of being dispatched (it would
+ * open media sockets to the recorded servers), and replies such as keep-alive
+ * responses go to stand-in sockets.
+ *
+ * @example
+ * const player = new SessionPlayer('recordings/x.jsonl', { speed: 10 });
+ * player.on('transcript', ({ userName, text }) => console.log(userName, text));
+ * await player.play();
+ */
+export class SessionPlayer extends EventEmitter {
+    /**
+     * @param {string} filePath - Recording written by SessionRecorder
+     * @param {Object} [options]
+     * @param {number} [options.speed=1] - Playback rate; 0 or Infinity = no delays
+     * @param {Object} [options.config] - RTMSManager-style config for the handler (e.g. useFiller, mediaParams)
+     */
+    constructor(filePath, { speed = 1, config = {} } = {}) {
+        super();
+        this.filePath = filePath;
+        this.speed = speed;
+        this.config = config;
+        this.header = null;
+        this.handler = null;
+        this.stopped = false;
+        this.stats = { messages: 0, signaling: 0, media: 0, skipped: 0 };
+    }
+
+    /**
+     * Replay the whole recording
+     * @returns {Promise<Object>} Message counts
+     */
+    async play() {
+        const lines = readline.createInterface({
+            input: fs.createReadStream(this.filePath),
+            crlfDelay: Infinity,
+        });
+
+        const started = Date.now();
+        let lastT = 0;
+        let signalingWs = null;
+        const mediaSockets = {};
+
+        for await (const line of lines) {
+            if (this.stopped) break;
+            if (!line) continue;
+
+            const entry = JSON.parse(line);
+            if (entry.type === 'header') {
+                this.header = entry;
+                this.handler = this._createHandler(entry);
+                signalingWs = new ReplaySocket('signaling');
+                this.handler.signaling.socket = signalingWs;
+                this.handler.signaling.state = 'authenticated';
+                continue;
+            }
+            if (!this.handler) {
+                throw new RTMSError(
+                    'INVALID_CONFIG',
+                    `Recording ${this.filePath} has no header`
+                );
+            }
+
+            await this._waitUntil(started, entry.t);
+            lastT = entry.t;
+            this.stats.messages++;
+
+            if (entry.channel === 'signaling') {
+                this.stats.signaling++;
+                this._playSignaling(entry.data, signalingWs);
+            } else {
+                this.stats.media++;
+                if (!mediaSockets[entry.mediaType]) {
+                    mediaSockets[entry.mediaType] = new ReplaySocket(
+                        entry.mediaType
+                    );
+                    this.handler.media[entry.mediaType] = {
+                        socket: mediaSockets[entry.mediaType],
+                        state: 'streaming',
+                    };
+                }
+                handleMediaMessage(entry.data, {
+                    conn: this.handler,
+                    mediaWs: mediaSockets[entry.mediaType],
+                    signalingSocket: signalingWs,
+                    meetingUuid: this.header.rtmsId,
+                    streamId: this.header.streamId,
+                    mediaType: entry.mediaType,
+                    emit: this.handler.emit,
+                });
+            }
+        }
+
+        // End on the recording's clock, not now — the gap fillers pad
+        // silence up to the stop time
+        if (this.handler) this.handler.stop(this.header.recordedAt + lastT);
+        FileLogger.log(
+            `[Player] Replayed ${this.stats.messages} messages from ${this.filePath}`
+        );
+        this.emit('end', this.stats);
+        return this.stats;
+    }
+
+    /**
+     * Stop playback after the current message
+     */
+    stop() {
+        this.stopped = true;
+        clearTimeout(this._delayTimer);
+        this._resumeDelay?.();
+    }
+
+    _createHandler(header) {
+        return new RTMSMessageHandler(
+            header.rtmsId,
+            header.streamId,
+            null,
+            null,
+            null,
+            (...args) => this.emit(...args),
+            header.mediaTypesFlag ?? 32,
+            {
+                mediaParams: header.mediaParams ?? undefined,
+                ...this.config,
+                recordDir: null,
+                replay: true,
+            },
+            header.rtmsType,
+            header.startTime
+        );
+    }
+
+    _playSignaling(data, signalingWs) {
+        let msg;
+        try {
+            msg = JSON.parse(data);
+        } catch {
+            this.stats.skipped++;
+            return;
+        }
+
+        if (msg.msg_type === 2 && msg.status_code === 0) {
+            this.handler.signaling.state = 'ready';
+            this.stats.skipped++;
+            return;
+        }
+
+        handleSignalingMessage(
+            data,
+            this.header.rtmsId,
+            this.header.streamId,
+            signalingWs,
+            this.handler,
+            this.handler.emit,
+            this.header.mediaTypesFlag ?? 32,
+            null,
+            null
+        );
+    }
+
+    _waitUntil(started, t) {
+        if (!this.speed || this.speed === Infinity) return Promise.resolve();
+        const delay = started + t / this.speed - Date.now();
+        if (delay <= 0) return Promise.resolve();
+        return new Promise((resolve) => {
+            this._resumeDelay = resolve;
+            this._delayTimer = setTimeout(resolve, delay);
+        });
+    }
+}
@@ -164,8 +164,12 @@ export class MediaVideoFiller extends EventEmitter {
             this.timer = null;
         }
 
-        // Final fill if needed
-        if (endTime && endTime > this.expectedTimestamp) {
+        // Final fill if needed (nothing to pad if no packet ever arrived)
+        if (
+            endTime &&
+            this.expectedTimestamp !== null &&
+            endTime > this.expectedTimestamp
+        ) {
             const remainingGap = endTime - this.expectedTimestamp;
             const frames = Math.floor(remainingGap / this.frameDuration);
             for (let i = 0; i < frames; i++) {
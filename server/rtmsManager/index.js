@@ -53,5 +53,9 @@ export { ActiveConnectionManager } from './ActiveConnectionManager.js';
 // Message handlers
 export { RTMSMessageHandler } from './RTMSMessageHandler.js';
 
+// Session recording and replay
+export { SessionRecorder } from './utils/SessionRecorder.js';
+export { SessionPlayer } from './SessionPlayer.js';
+
 // Default export
 export { RTMSManager as default } from './RTMSManager.js';
@@ -140,6 +140,7 @@ export function connectToMediaWebSocket(
     });
 
     mediaWs.on('message', (data) => {
+        conn.recorder?.record('media', mediaType, data);
         handleMediaMessage(data, {
             conn,
             mediaWs,
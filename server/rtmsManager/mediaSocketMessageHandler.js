@@ -12,6 +12,7 @@ import { processSharescreen } from './processors/sharescreenProcessor.js';
 import { processTranscript } from './processors/transcriptProcessor.js';
 import { processChat } from './processors/chatProcessor.js';
 import { FileLogger } from './utils/FileLogger.js';
+import { RTMS_MEDIA_PARAMS } from './utils/rtmsMediaParams.js';
 import { RTMSError } from './utils/RTMSError.js';
 
 const keepAliveResponse = { msg_type: 13, timestamp: 0 };
@@ -102,7 +103,7 @@ export function handleMediaMessage(
                             productType: conn.rtmsType,
                         },
                         emit,
-                        conn.audioFiller
+                        conn.getAudioFiller(user_id, user_name)
                     );
                 }
                 break;
@@ -180,10 +181,14 @@ export function handleMediaMessage(
                             meetingId: meetingUuid,
                             streamId,
                             productType: conn.rtmsType,
-                            startTime: start_time,
-                            endTime: end_time,
+                            startTime:
+                                conn.toStreamTime(start_time) ?? timestamp,
+                            endTime: conn.toStreamTime(end_time) ?? timestamp,
                             language,
                             attribute,
+                            isFinal:
+                                attribute !==
+                                RTMS_MEDIA_PARAMS.TRANSCRIPT_ATTRIBUTE_INTERIM,
                         },
                         emit
                     );
@@ -142,6 +142,7 @@ export function connectToSignalingWebSocket(
     });
 
     signalingWs.on('message', (data) => {
+        conn.recorder?.record('signaling', null, data);
         handleSignalingMessage(
             data,
             meetingUuid,
@@ -10,6 +10,15 @@ import { FileLogger } from './utils/FileLogger.js';
 import { RTMSFlagHelper, TYPE_FLAGS } from './utils/RTMSFlagHelper.js';
 import { RTMSError } from './utils/RTMSError.js';
 
+/**
+ * Join/leave events carry either a participants array or a single user
+ * @param {Object} event - msg.event from a type 6 message
+ * @returns {Array<{user_id, user_name}>}
+ */
+function getEventParticipants(event) {
+    return Array.isArray(event.participants) ? event.participants : [event];
+}
+
 /**
  * Handle signaling socket messages
  * Uses SPLIT mode only - each media type gets its own WebSocket connection
@@ -184,53 +193,37 @@ export function handleSignalingMessage(
                         break;
 
                     case 3: // PARTICIPANT_JOIN
-                        if (
-                            msg.event.participants &&
-                            Array.isArray(msg.event.participants)
-                        ) {
-                            msg.event.participants.forEach((p) => {
-                                FileLogger.log(
-                                    `[Signaling] [${
-                                        conn.rtmsType
-                                    },${meetingUuid},${streamId}] JOIN: ${
-                                        p.user_name || 'Unknown'
-                                    }`
-                                );
-                            });
-                        } else {
+                        getEventParticipants(msg.event).forEach((p) => {
                             FileLogger.log(
                                 `[Signaling] [${
                                     conn.rtmsType
                                 },${meetingUuid},${streamId}] JOIN: ${
-                                    msg.event.user_name || 'Unknown'
+                                    p.user_name || 'Unknown'
                                 }`
                             );
-                        }
+                            conn.participantJoined(
+                                p.user_id,
+                                p.user_name,
+                                msg.event.timestamp || Date.now()
+                            );
+                        });
                         break;
 
                     case 4: // PARTICIPANT_LEAVE
-                        if (
-                            msg.event.participants &&
-                            Array.isArray(msg.event.participants)
-                        ) {
-                            msg.event.participants.forEach((p) => {
-                                FileLogger.log(
-                                    `[Signaling] [${
-                                        conn.rtmsType
-                                    },${meetingUuid},${streamId}] LEAVE: ${
-                                        p.user_name || 'Unknown'
-                                    }`
-                                );
-                            });
-                        } else {
+                        getEventParticipants(msg.event).forEach((p) => {
                             FileLogger.log(
                                 `[Signaling] [${
                                     conn.rtmsType
                                 },${meetingUuid},${streamId}] LEAVE: ${
-                                    msg.event.user_name || 'Unknown'
+                                    p.user_name || 'Unknown'
                                 }`
                             );
-                        }
+                            conn.participantLeft(
+                                p.user_id,
+                                p.user_name,
+                                msg.event.timestamp || Date.now()
+                            );
+                        });
                         break;
 
                     case 5: // SHARING_START
@@ -167,6 +167,10 @@ export interface RTMSConfig {
   // History settings
   /** Maximum stream history size */
   maxStreamHistorySize?: number;
+
+  // Session recording
+  /** Directory to record every received signaling/media message to (off when unset) */
+  recordDir?: string | null;
   
   // Logging
   /** Logging level (default: 'off') */
@@ -301,14 +305,16 @@ export interface TranscriptEvent extends BaseEvent {
   type: 'transcript';
   /** Transcript text */
   text: string;
-  /** Start time of speech segment */
+  /** Start time of speech segment (epoch ms, aligned to firstPacketTimestamp) */
   startTime: number;
-  /** End time of speech segment */
+  /** End time of speech segment (epoch ms, aligned to firstPacketTimestamp) */
   endTime: number;
   /** Language code (number from Zoom API) */
   language: number | string;
   /** Raw attribute value */
   attribute: string | number;
+  /** False for interim results, which a later event for the same speaker replaces */
+  isFinal: boolean;
 }
 
 /** Chat event */
@@ -347,6 +353,45 @@ export interface SignalingEvent {
   timestamp: number;
 }
 
+/** One continuous stretch of a participant being in the meeting */
+export interface AttendanceInterval {
+  /** Join time (ms) */
+  joinedAt: number;
+  /** Leave time (ms), null while still present */
+  leftAt: number | null;
+}
+
+/** Roster entry built from PARTICIPANT_JOIN/LEAVE events */
+export interface Participant {
+  userId: number | string;
+  userName: string;
+  /** Currently in the meeting */
+  present: boolean;
+  intervals: AttendanceInterval[];
+  /** Total time present (ms), open intervals counted up to now */
+  totalMs: number;
+}
+
+/** Participant joined or left (object format) */
+export interface ParticipantEvent {
+  type: 'participant';
+  action: 'join' | 'leave';
+  userId: number | string;
+  userName: string;
+  /** Start of the interval this event opens or closes */
+  joinedAt: number;
+  /** End of the interval, null on join */
+  leftAt: number | null;
+  /** Event timestamp */
+  timestamp: number;
+  /** Meeting/Session UUID */
+  meetingId: string;
+  /** RTMS stream ID */
+  streamId: string;
+  /** Product type */
+  productType: ProductType;
+}
+
 /** Raw stream state message from Zoom */
 export interface StreamStateData {
   msg_type: number;
@@ -413,6 +458,8 @@ export interface Preset {
 export interface Presets {
   /** Audio only - optimized for speech processing */
   AUDIO_ONLY: Preset;
+  /** Per-speaker audio - multi-stream, one stream per participant */
+  AUDIO_PER_SPEAKER: Preset;
   /** Transcription - audio + transcript */
   TRANSCRIPTION: Preset;
   /** Video recording - audio + video */
@@ -432,6 +479,7 @@ export type SharescreenEventHandler = (event: SharescreenEvent) => void;
 export type TranscriptEventHandler = (event: TranscriptEvent) => void;
 export type ChatEventHandler = (event: ChatEvent) => void;
 export type SignalingEventHandler = (event: SignalingEvent) => void;
+export type ParticipantEventHandler = (event: ParticipantEvent) => void;
 export type StreamStateHandler = (event: StreamStateEvent) => void;
 export type SessionStateHandler = (event: SessionStateEvent) => void;
 export type ErrorHandler = (error: RTMSError) => void;
@@ -506,6 +554,7 @@ export class RTMSManager extends EventEmitter {
   static on(event: 'transcript', handler: TranscriptEventHandler): void;
   static on(event: 'chat', handler: ChatEventHandler): void;
   static on(event: 'event', handler: SignalingEventHandler): void;
+  static on(event: 'participant', handler: ParticipantEventHandler): void;
   static on(event: 'stream_state_changed', handler: StreamStateHandler): void;
   static on(event: 'session_state_changed', handler: SessionStateHandler): void;
   static on(event: 'error', handler: ErrorHandler): void;
@@ -521,6 +570,75 @@ export class RTMSManager extends EventEmitter {
   static getTranscriptDetails(streamId: string): TranscriptMediaParams | null;
   static getChatDetails(streamId: string): ChatMediaParams | null;
   static getPingRtt(streamId: string): number;
+  static getParticipants(streamId: string): Participant[] | null;
+}
+
+// =============================================================================
+// Session recording and replay
+// =============================================================================
+
+/** First line of a recording file */
+export interface RecordingHeader {
+  type: 'header';
+  version: number;
+  rtmsId: string;
+  rtmsType: ProductType;
+  streamId: string;
+  startTime: number | null;
+  mediaTypesFlag: number | null;
+  /** Handshake media_params (snake_case, as sent to Zoom) */
+  mediaParams: Record<string, any> | null;
+  recordedAt: number;
+}
+
+/** Writes received RTMS messages to <dir>/<start>_<rtmsType>_<streamId>.jsonl */
+export class SessionRecorder {
+  constructor(
+    dir: string,
+    session: {
+      rtmsId: string;
+      rtmsType: ProductType;
+      streamId: string;
+      startTime?: number | null;
+      mediaTypesFlag?: number;
+      mediaParams?: Record<string, any>;
+    }
+  );
+  /** Path of the recording file */
+  readonly filePath: string;
+  /** Number of messages recorded so far */
+  readonly messageCount: number;
+  record(channel: 'signaling' | 'media', mediaType: string | null, data: Buffer | string): void;
+  close(): Promise<void>;
+}
+
+/** Playback counts returned by SessionPlayer.play() */
+export interface ReplayStats {
+  messages: number;
+  signaling: number;
+  media: number;
+  skipped: number;
+}
+
+/** Replays a recording through the signaling/media handlers, emitting the same events as RTMSManager */
+export class SessionPlayer extends EventEmitter {
+  constructor(filePath: string, options?: { speed?: number; config?: RTMSConfig });
+  /** Header of the recording, available once playback starts */
+  readonly header: RecordingHeader | null;
+  play(): Promise<ReplayStats>;
+  stop(): void;
+
+  on(event: 'audio', handler: AudioEventHandler): this;
+  on(event: 'video', handler: VideoEventHandler): this;
+  on(event: 'sharescreen', handler: SharescreenEventHandler): this;
+  on(event: 'transcript', handler: TranscriptEventHandler): this;
+  on(event: 'chat', handler: ChatEventHandler): this;
+  on(event: 'event', handler: SignalingEventHandler): this;
+  on(event: 'participant', handler: ParticipantEventHandler): this;
+  on(event: 'stream_state_changed', handler: StreamStateHandler): this;
+  on(event: 'session_state_changed', handler: SessionStateHandler): this;
+  on(event: 'error', handler: ErrorHandler): this;
+  on(event: 'end', handler: (stats: ReplayStats) => void): this;
 }
 
 export default RTMSManager;
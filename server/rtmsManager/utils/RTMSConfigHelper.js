@@ -29,6 +29,9 @@ export class RTMSConfigHelper {
             // History settings
             maxStreamHistorySize: 100,
 
+            // Session recording: directory for raw message captures (null = off)
+            recordDir: null,
+
             // Logging (off by default for cleaner output)
             logging: 'off', // 'off' | 'error' | 'warn' | 'info' | 'debug'
 
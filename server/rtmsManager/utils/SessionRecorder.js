@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { FileLogger } from './FileLogger.js';
+
+/**
+ * SessionRecorder
+ * Writes every message received on a stream's signaling and media sockets to
+ * a JSONL file so the session can be replayed later with SessionPlayer.
+ *
+ * File: <recordDir>/<ISO start time>_<rtmsType>_<streamId>.jsonl
+ * Line 1 is a header ({ type: 'header', rtmsId, streamId, ... }); every other
+ * line is { t, channel, mediaType, data } where t is ms since recording
+ * started, channel is 'signaling' | 'media' and data is the raw message text.
+ *
+ * @example
+ * const recorder = new SessionRecorder('recordings', { rtmsId, rtmsType, streamId });
+ * recorder.record('media', 'transcript', rawMessage);
+ * recorder.close();
+ */
+export class SessionRecorder {
+    /**
+     * @param {string} dir - Directory for recordings (created if missing)
+     * @param {Object} session
+     * @param {string} session.rtmsId - Meeting/session UUID
+     * @param {string} session.rtmsType - Product type
+     * @param {string} session.streamId - RTMS stream ID
+     * @param {number|null} [session.startTime] - Start timestamp from webhook
+     * @param {number} [session.mediaTypesFlag] - Subscribed media types
+     * @param {Object} [session.mediaParams] - Media params sent in the handshake
+     */
+    constructor(
+        dir,
+        { rtmsId, rtmsType, streamId, startTime, mediaTypesFlag, mediaParams }
+    ) {
+        this.startedAt = Date.now();
+        const stamp = new Date(this.startedAt)
+            .toISOString()
+            .replace(/[:.]/g, '-');
+
+        fs.mkdirSync(dir, { recursive: true });
+        this.filePath = path.join(
+            dir,
+            `${stamp}_${rtmsType}_${streamId}.jsonl`
+        );
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', (err) => {
+            FileLogger.error(
+                `[Recorder:${streamId.slice(-8)}] Write failed: ${err.message}`
+            );
+        });
+        this.closed = false;
+        this.messageCount = 0;
+
+        this._write({
+            type: 'header',
+            version: 1,
+            rtmsId,
+            rtmsType,
+            streamId,
+            startTime: startTime ?? null,
+            mediaTypesFlag: mediaTypesFlag ?? null,
+            mediaParams: mediaParams ?? null,
+            recordedAt: this.startedAt,
+        });
+        FileLogger.log(
+            `[Recorder:${streamId.slice(-8)}] Recording to ${this.filePath}`
+        );
+    }
+
+    _write(entry) {
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    /**
+     * Record a message received from Zoom
+     * @param {'signaling'|'media'} channel
+     * @param {string|null} mediaType - Media socket type (null for signaling)
+     * @param {Buffer|string} data - Raw message
+     */
+    record(channel, mediaType, data) {
+        if (this.closed) return;
+        this.messageCount++;
+        this._write({
+            t: Date.now() - this.startedAt,
+            channel,
+            mediaType,
+            data: data.toString(),
+        });
+    }
+
+    /**
+     * Flush and close the recording
+     * @returns {Promise<void>}
+     */
+    close() {
+        if (this.closed) return Promise.resolve();
+        this.closed = true;
+        FileLogger.log(
+            `[Recorder] Closed ${this.filePath} (${this.messageCount} messages)`
+        );
+        return new Promise((resolve) => this.stream.end(resolve));
+    }
+}
@@ -52,6 +52,10 @@ export const RTMS_MEDIA_PARAMS = {
     TRANSMISSION_PROTOCOL_UDP: 3,
     TRANSMISSION_PROTOCOL_WEBRTC: 4,
 
+    // TRANSCRIPT_ATTRIBUTE (transcript message attribute)
+    TRANSCRIPT_ATTRIBUTE_FINAL: 0,
+    TRANSCRIPT_ATTRIBUTE_INTERIM: 1,
+
     // RTMS_TRANSCRIPT_LANGUAGE
     LANGUAGE_ID_ARABIC: 0,
     LANGUAGE_ID_BENGALI: 1,
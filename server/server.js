@@ -3,11 +3,90 @@ import debug from 'debug';
 import { appName } from '../config.js';
 import { testConnection, initializeIndices } from './helpers/elasticsearch.js';
 import { setupInferenceEndpoints } from './helpers/setup-inference.js';
+import { restoreBuffers } from './helpers/transcript-pipeline.js';
 // Agent network (parked — requires working Kibana Agent Builder)
 // import { initializeTools } from './helpers/agent-manager.js';
 
 const dbg = debug(`${appName}:http`);
 
+// How often to retry Elasticsearch when it was down at startup
+const ES_RETRY_INTERVAL_MS = 30_000;
+
+// Transcript buffers are restored once, on the first initialization
+let buffersRestored = false;
+
+/**
+ * Set up inference endpoints and indices on a reachable cluster
+ * @return {Promise<Boolean>} Whether every index is set up
+ */
+async function initializeElasticsearch() {
+    // Inference endpoints must exist before creating indices
+    // (transcript_chunks needs jina_embeddings for semantic_text field)
+    try {
+        await setupInferenceEndpoints();
+    } catch (err) {
+        console.error('⚠️ Inference endpoint setup failed:', err.message);
+    }
+
+    console.log('🔄 Initializing Elasticsearch indices...');
+    const failed = await initializeIndices();
+    if (failed.length) {
+        console.warn(
+            `⚠️  Elasticsearch indices not ready: ${failed.join(
+                ', '
+            )} — their writes are queued`
+        );
+    } else {
+        console.log('✅ Elasticsearch ready');
+    }
+
+    // Transcript buffers left behind by the previous process
+    if (!buffersRestored) {
+        buffersRestored = true;
+        try {
+            await restoreBuffers();
+        } catch (err) {
+            console.error(
+                '⚠️ Restoring transcript buffers failed:',
+                err.message
+            );
+        }
+    }
+
+    // Agent network (parked — uncomment when Kibana Agent Builder is ready)
+    // try {
+    //     await initializeTools();
+    // } catch (err) {
+    //     console.warn('⚠️  Agent network setup failed:', err.message);
+    // }
+
+    return failed.length === 0;
+}
+
+/**
+ * Keep retrying in the background until Elasticsearch comes up and all of
+ * its indices are set up. Writes to an index that is not set up wait in its
+ * on-disk write queue.
+ */
+function retryElasticsearch() {
+    setTimeout(async () => {
+        try {
+            if (
+                (await testConnection(1)) &&
+                (await initializeElasticsearch())
+            ) {
+                return;
+            }
+        } catch (err) {
+            console.error(
+                '⚠️ Elasticsearch initialization failed:',
+                err.message
+            );
+        }
+        retryElasticsearch();
+    }, ES_RETRY_INTERVAL_MS);
+}
+
 /**
  * Start the HTTP server
  * @param app - Express app to attach to
@@ -19,28 +98,20 @@ export async function start(app, port) {
     const connected = await testConnection();
 
     if (connected) {
-        // Inference endpoints must exist before creating indices
-        // (transcript_chunks needs jina_embeddings for semantic_text field)
         try {
-            await setupInferenceEndpoints();
+            if (!(await initializeElasticsearch())) retryElasticsearch();
         } catch (err) {
-            console.error('⚠️ Inference endpoint setup failed:', err.message);
+            console.error(
+                '⚠️ Elasticsearch initialization failed:',
+                err.message
+            );
+            retryElasticsearch();
         }
-
-        console.log('🔄 Initializing Elasticsearch indices...');
-        await initializeIndices();
-        console.log('✅ Elasticsearch ready');
-
-        // Agent network (parked — uncomment when Kibana Agent Builder is ready)
-        // try {
-        //     await initializeTools();
-        // } catch (err) {
-        //     console.warn('⚠️  Agent network setup failed:', err.message);
-        // }
     } else {
         console.warn(
-            '⚠️  Elasticsearch not available - some features will be disabled'
+            '⚠️  Elasticsearch not available - some features will be disabled until it connects'
         );
+        retryElasticsearch();
     }
 
     // Create HTTP server